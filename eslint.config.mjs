@@ -49,6 +49,11 @@ export default [
         SortingHelpers: 'readonly',
         DragDrop: 'readonly',
         DocumentSheetConfig: 'readonly',
+        FilePicker: 'readonly',
+        saveDataToFile: 'readonly',
+        readTextFromFile: 'readonly',
+        showdown: 'readonly',
+        Handlebars: 'readonly',
         dnd5e: 'readonly'
       }
     }
@@ -3,10 +3,12 @@
  */
 
 import { id as MODULE_ID } from '../../module.json';
+import { addToTrash, TRASH_TYPES } from '../trash/trash.js';
 
-const CATEGORY_ORDERING = {
+export const CATEGORY_ORDERING = {
   ALPHABETICAL: 0,
-  MANUAL: 1
+  MANUAL: 1,
+  CHRONOLOGICAL: 2
 };
 
 /**
@@ -15,6 +17,7 @@ const CATEGORY_ORDERING = {
 export class Category {
   /**
    * Create a new Category instance
+   * A parent missing from the actor's categories is treated as top level, so an orphaned category stays editable.
    * @param {Object} data - Category data object
    * @param {Actor} [actor] - The actor this category belongs to
    */
@@ -23,7 +26,12 @@ export class Category {
       key: foundry.utils.randomID(),
       name: 'New Category',
       ordering: CATEGORY_ORDERING.ALPHABETICAL,
-      collapsed: false
+      collapsed: false,
+      parent: '',
+      sort: 0,
+      color: '',
+      icon: '',
+      description: ''
     };
 
     const categoryData = foundry.utils.mergeObject(defaults, data);
@@ -32,8 +40,17 @@ export class Category {
     this.name = categoryData.name;
     this.ordering = categoryData.ordering;
     this.collapsed = categoryData.collapsed;
+    this.parent = categoryData.parent || '';
+    this.sort = categoryData.sort;
+    this.color = categoryData.color || '';
+    this.icon = categoryData.icon || '';
+    this.description = categoryData.description || '';
     this.actor = actor;
 
+    if (this.parent && actor && !(actor.getFlag(MODULE_ID, 'categories') || []).some(c => c.key === this.parent)) {
+      this.parent = '';
+    }
+
     this.validate();
   }
 
@@ -47,10 +64,23 @@ export class Category {
       key: this.key,
       name: this.name,
       ordering: this.ordering,
-      collapsed: this.collapsed
+      collapsed: this.collapsed,
+      parent: this.parent,
+      sort: this.sort,
+      color: this.color,
+      icon: this.icon,
+      description: this.description
     };
   }
 
+  /**
+   * Whether the icon is an image path rather than Font Awesome classes
+   * @returns {boolean}
+   */
+  get iconIsImage() {
+    return Category.isImagePath(this.icon);
+  }
+
   /**
    * Create a copy of this category
    * @returns {Category} - New Category instance
@@ -77,8 +107,44 @@ export class Category {
       throw new Error('Category name must not exceed 50 characters');
     }
 
-    if (this.ordering !== CATEGORY_ORDERING.ALPHABETICAL && this.ordering !== CATEGORY_ORDERING.MANUAL) {
-      throw new Error(`Ordering must be "${CATEGORY_ORDERING.ALPHABETICAL}" or "${CATEGORY_ORDERING.MANUAL}"`);
+    if (!Object.values(CATEGORY_ORDERING).includes(this.ordering)) {
+      throw new Error(`Ordering must be one of ${Object.values(CATEGORY_ORDERING).join(', ')}`);
+    }
+
+    if (this.color && !/^#[0-9a-f]{6}$/i.test(this.color)) {
+      throw new Error('Category color must be a hex color such as #aa3300');
+    }
+
+    if (typeof this.icon !== 'string') {
+      throw new Error('Category icon must be a string');
+    }
+
+    if (typeof this.description !== 'string') {
+      throw new Error('Category description must be a string');
+    }
+    if (this.description.length > 200) {
+      throw new Error('Category description must not exceed 200 characters');
+    }
+
+    if (!Number.isFinite(this.sort)) {
+      throw new Error('Category sort must be a number');
+    }
+
+    if (typeof this.parent !== 'string') {
+      throw new Error('Category parent must be a string');
+    }
+    if (this.parent === this.key) {
+      throw new Error('Category cannot be its own parent');
+    }
+
+    if (this.parent && this.actor) {
+      const categories = this.actor.getFlag(MODULE_ID, 'categories') || [];
+      if (!categories.some(c => c.key === this.parent)) {
+        throw new Error(`Parent category "${this.parent}" not found`);
+      }
+      if (Category.descendantKeys(categories, this.key).has(this.parent)) {
+        throw new Error('Category cannot be moved inside one of its own sub-categories');
+      }
     }
   }
 
@@ -91,8 +157,11 @@ export class Category {
   static async create(actor, data = {}) {
     if (!actor) throw new Error('Actor must be provided');
 
-    const category = new Category(data, actor);
     const existingCategories = actor.getFlag(MODULE_ID, 'categories') || [];
+    const lastSort = Math.max(0, ...existingCategories.map(c => c.sort || 0));
+    const category = new Category({ sort: lastSort + CONST.SORT_INTEGER_DENSITY, ...data });
+    category.actor = actor;
+    category.validate();
 
     const existingCategoryInstances = existingCategories.map(catData => new Category(catData));
     if (Category.nameExists(existingCategoryInstances, category.name)) {
@@ -139,6 +208,11 @@ export class Category {
     this.name = mergedData.name;
     this.ordering = mergedData.ordering;
     this.collapsed = mergedData.collapsed;
+    this.parent = mergedData.parent || '';
+    this.sort = mergedData.sort;
+    this.color = mergedData.color || '';
+    this.icon = mergedData.icon || '';
+    this.description = mergedData.description || '';
 
     this.validate();
 
@@ -156,10 +230,13 @@ export class Category {
   }
 
   /**
-   * Delete this category from the actor
+   * Delete this category from the actor, keeping it in the actor's trash so it can be restored
+   * @param {Object} [options] - Deletion options
+   * @param {boolean} [options.deleteChildren=false] - Delete sub-categories too instead of promoting them to
+   *   this category's parent
    * @returns {Promise<void>}
    */
-  async delete() {
+  async delete({ deleteChildren = false } = {}) {
     if (!this.actor) throw new Error('Category must be associated with an actor to delete');
 
     if (this.name === 'Notes') {
@@ -167,17 +244,42 @@ export class Category {
     }
 
     const categories = this.actor.getFlag(MODULE_ID, 'categories') || [];
-    const filteredCategories = categories.filter(c => c.key !== this.key);
+    const removedKeys = deleteChildren ? Category.descendantKeys(categories, this.key) : new Set();
+    removedKeys.add(this.key);
 
-    const notes = this.actor.items.filter(item =>
-      item.type === 'dnd5e-sheet-notes.note' && item.system.category === this.key
-    );
+    const remainingCategories = categories
+      .filter(c => !removedKeys.has(c.key))
+      .map(c => (c.parent === this.key ? { ...c, parent: this.parent } : c));
 
-    for (const note of notes) {
-      await note.update({ 'system.category': '' });
+    const movedNotes = this.actor.items
+      .filter(item => item.type === 'dnd5e-sheet-notes.note' && removedKeys.has(item.system.category));
+    const noteUpdates = movedNotes.map(note => ({ _id: note.id, 'system.category': '' }));
+
+    await addToTrash(this.actor, {
+      type: TRASH_TYPES.CATEGORY,
+      name: this.name,
+      categories: categories.filter(c => removedKeys.has(c.key)),
+      children: categories
+        .filter(c => c.parent === this.key && !removedKeys.has(c.key))
+        .map(c => ({ key: c.key, parent: this.key, promotedTo: this.parent })),
+      notes: movedNotes.map(note => ({ id: note.id, category: note.system.category }))
+    });
+
+    if (noteUpdates.length) {
+      await this.actor.updateEmbeddedDocuments('Item', noteUpdates);
     }
 
-    await this.actor.setFlag(MODULE_ID, 'categories', filteredCategories);
+    await this.actor.setFlag(MODULE_ID, 'categories', remainingCategories);
+  }
+
+  /**
+   * Whether this category has any sub-categories
+   * @returns {boolean}
+   */
+  hasChildren() {
+    if (!this.actor) return false;
+    const categories = this.actor.getFlag(MODULE_ID, 'categories') || [];
+    return categories.some(c => c.parent === this.key);
   }
 
   /**
@@ -220,6 +322,153 @@ export class Category {
     return defaultCategory ? new Category(defaultCategory, actor) : null;
   }
 
+  /**
+   * Move this category next to another category, making it a sibling of the target and renumbering their sort values
+   * @param {string} targetKey - The key of the category to place this one beside
+   * @param {boolean} sortBefore - Whether to place this category before the target
+   * @returns {Promise<Category>} - Returns this for chaining
+   */
+  async sortRelativeTo(targetKey, sortBefore) {
+    if (!this.actor) throw new Error('Category must be associated with an actor to sort');
+
+    const categories = this.actor.getFlag(MODULE_ID, 'categories') || [];
+    const target = categories.find(c => c.key === targetKey);
+    if (!target) throw new Error(`Category with key "${targetKey}" not found`);
+
+    this.parent = target.parent || '';
+    this.validate();
+
+    const ordering = Category.getOrdering(this.actor);
+    const siblings = Category.sortCategories(
+      categories.filter(c => (c.parent || '') === this.parent && c.key !== this.key),
+      ordering
+    ).map((c, index) => ({ key: c.key, sort: index }));
+
+    const updates = SortingHelpers.performIntegerSort({ key: this.key, sort: siblings.length }, {
+      target: siblings.find(c => c.key === targetKey),
+      siblings,
+      sortBefore
+    });
+    const sortValues = new Map(updates.map(({ target: entry, update }) => [entry.key, update.sort]));
+    this.sort = sortValues.get(this.key) ?? this.sort;
+
+    const updatedCategories = categories.map(c => {
+      if (c.key === this.key) return this.toObject();
+      return sortValues.has(c.key) ? { ...c, sort: sortValues.get(c.key) } : c;
+    });
+    await this.actor.setFlag(MODULE_ID, 'categories', updatedCategories);
+
+    return this;
+  }
+
+  /**
+   * Get how an actor's categories are ordered relative to each other
+   * @param {Actor} actor - The actor
+   * @returns {number} - A CATEGORY_ORDERING value
+   */
+  static getOrdering(actor) {
+    return actor.getFlag(MODULE_ID, 'categoryOrdering') ?? CATEGORY_ORDERING.ALPHABETICAL;
+  }
+
+  /**
+   * Set how an actor's categories are ordered relative to each other
+   * @param {Actor} actor - The actor
+   * @param {number} ordering - A CATEGORY_ORDERING value
+   * @returns {Promise<Actor>}
+   */
+  static async setOrdering(actor, ordering) {
+    if (ordering !== CATEGORY_ORDERING.ALPHABETICAL && ordering !== CATEGORY_ORDERING.MANUAL) {
+      throw new Error(`Ordering must be "${CATEGORY_ORDERING.ALPHABETICAL}" or "${CATEGORY_ORDERING.MANUAL}"`);
+    }
+    return actor.setFlag(MODULE_ID, 'categoryOrdering', ordering);
+  }
+
+  /**
+   * Sort category data for display
+   * @param {Array<Object>} categories - Category data to sort in place
+   * @param {number} ordering - A CATEGORY_ORDERING value
+   * @returns {Array<Object>} - The sorted categories
+   */
+  static sortCategories(categories, ordering) {
+    return categories.sort((a, b) => {
+      if (ordering === CATEGORY_ORDERING.MANUAL) {
+        const delta = (a.sort || 0) - (b.sort || 0);
+        if (delta) return delta;
+      }
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Get the chain of categories from the top level down to a category
+   * @param {Array<Object>} categories - All category data for the actor
+   * @param {string} key - The category key
+   * @returns {Array<Object>} - Category data, outermost first, ending with the category itself
+   */
+  static path(categories, key) {
+    const path = [];
+    const seen = new Set();
+    let current = categories.find(c => c.key === key);
+    while (current && !seen.has(current.key)) {
+      seen.add(current.key);
+      path.unshift(current);
+      current = current.parent ? categories.find(c => c.key === current.parent) : null;
+    }
+    return path;
+  }
+
+  /**
+   * Find or create a chain of nested categories by name
+   * Names are unique per actor, so an existing category with a matching name is reused wherever it sits.
+   * @param {Actor} actor - The actor to add the categories to
+   * @param {Array<string>} names - Category names, outermost first
+   * @returns {Promise<string>} - The key of the innermost category, or '' if no names were given
+   */
+  static async ensurePath(actor, names) {
+    if (!actor) throw new Error('Actor must be provided');
+
+    let parent = '';
+    for (const rawName of names) {
+      const name = rawName.trim().slice(0, 50);
+      if (!name) continue;
+
+      const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+      const existing = categories.find(c => c.name.toLowerCase() === name.toLowerCase());
+      parent = existing ? existing.key : (await Category.create(actor, { name, parent })).key;
+    }
+    return parent;
+  }
+
+  /**
+   * Check whether a category icon refers to an image file rather than Font Awesome classes
+   * @param {string} icon - The icon value
+   * @returns {boolean} - True if the icon is an image path
+   */
+  static isImagePath(icon) {
+    return /\.(png|jpe?g|gif|svg|webp|avif)$/i.test(icon || '');
+  }
+
+  /**
+   * Collect the keys of every category nested beneath a category
+   * @param {Array<Object>} categories - All category data for the actor
+   * @param {string} key - The ancestor category key
+   * @returns {Set<string>} - Keys of all descendants, not including the ancestor itself
+   */
+  static descendantKeys(categories, key) {
+    const descendants = new Set();
+    const queue = [key];
+    while (queue.length) {
+      const current = queue.shift();
+      for (const category of categories) {
+        if (category.parent === current && !descendants.has(category.key)) {
+          descendants.add(category.key);
+          queue.push(category.key);
+        }
+      }
+    }
+    return descendants;
+  }
+
   /**
    * Check if category name already exists (case-insensitive)
    * @param {Array<Category>} categories - Existing categories
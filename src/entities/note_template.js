@@ -0,0 +1,350 @@
+/**
+ * NoteTemplate class for managing world-level note templates
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { Category } from './category.js';
+import { NOTE_VARIANTS, NoteModel } from '../models/note_model.js';
+
+/**
+ * The world setting templates are stored in
+ */
+export const NOTE_TEMPLATES_SETTING = 'noteTemplates';
+
+/**
+ * Identifier written to every exported template file
+ */
+export const TEMPLATES_FORMAT = 'dnd5e-sheet-notes.templates';
+
+/**
+ * Current version of the template file layout
+ */
+export const TEMPLATES_FORMAT_VERSION = 1;
+
+/**
+ * Templates every world starts with
+ */
+export const DEFAULT_NOTE_TEMPLATES = [
+  {
+    id: 'npc',
+    name: 'NPC',
+    noteName: 'New NPC',
+    img: 'icons/svg/mystery-man.svg',
+    category: 'NPCs',
+    tags: ['npc'],
+    variant: NOTE_VARIANTS.RELATIONSHIP,
+    content: '<h2>Appearance</h2><p></p><h2>Personality</h2><p></p><h2>Secrets</h2><p></p>',
+    tracker: {},
+    checklist: []
+  },
+  {
+    id: 'location',
+    name: 'Location',
+    noteName: 'New Location',
+    img: 'icons/svg/village.svg',
+    category: 'Locations',
+    tags: ['location'],
+    variant: NOTE_VARIANTS.NOTE,
+    content: '<h2>Description</h2><p></p><h2>Notable People</h2><ul><li></li></ul>'
+      + '<h2>Points of Interest</h2><ul><li></li></ul>',
+    tracker: {},
+    checklist: []
+  },
+  {
+    id: 'quest',
+    name: 'Quest',
+    noteName: 'New Quest',
+    img: 'icons/svg/target.svg',
+    category: 'Quests',
+    tags: ['quest'],
+    variant: NOTE_VARIANTS.QUEST,
+    content: '<h2>Summary</h2><p></p><h2>Leads</h2><ul><li></li></ul>',
+    tracker: {},
+    checklist: ['First objective']
+  },
+  {
+    id: 'session-log',
+    name: 'Session Log',
+    noteName: 'Session',
+    img: 'icons/svg/book.svg',
+    category: 'Session Notes',
+    tags: ['session'],
+    variant: NOTE_VARIANTS.NOTE,
+    content: '<h2>Summary</h2><p></p><h2>People Met</h2><ul><li></li></ul><h2>Loot</h2><ul><li></li></ul>'
+      + '<h2>Open Threads</h2><ul><li></li></ul>',
+    tracker: {},
+    checklist: []
+  }
+];
+
+/**
+ * Represents a reusable starting point for new notes
+ */
+export class NoteTemplate {
+  /**
+   * Create a new NoteTemplate instance
+   * @param {Object} data - Template data object
+   */
+  constructor(data = {}) {
+    const defaults = {
+      id: foundry.utils.randomID(),
+      name: 'New Template',
+      noteName: '',
+      img: 'icons/svg/book.svg',
+      category: '',
+      tags: [],
+      variant: NOTE_VARIANTS.NOTE,
+      content: '',
+      tracker: {},
+      checklist: []
+    };
+
+    const templateData = foundry.utils.mergeObject(defaults, data, { inplace: false });
+
+    this.id = templateData.id;
+    this.name = templateData.name;
+    this.noteName = templateData.noteName || '';
+    this.img = templateData.img || 'icons/svg/book.svg';
+    this.category = templateData.category || '';
+    this.tags = NoteModel.normalizeTags(templateData.tags);
+    this.variant = templateData.variant || NOTE_VARIANTS.NOTE;
+    this.content = templateData.content || '';
+    this.tracker = templateData.tracker || {};
+    this.checklist = (templateData.checklist || []).map(text => String(text));
+
+    this.validate();
+  }
+
+  /**
+   * Export template data for storage
+   * @returns {Object} - Plain object for storage
+   */
+  toObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      noteName: this.noteName,
+      img: this.img,
+      category: this.category,
+      tags: [...this.tags],
+      variant: this.variant,
+      content: this.content,
+      tracker: foundry.utils.deepClone(this.tracker),
+      checklist: [...this.checklist]
+    };
+  }
+
+  /**
+   * Validate template data
+   * @throws {Error} - If validation fails
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string') {
+      throw new Error('Template ID must be a non-empty string');
+    }
+
+    if (!this.name || typeof this.name !== 'string') {
+      throw new Error(game.i18n.localize('dnd5e-sheet-notes.templates.errors.name-required'));
+    }
+    if (this.name.length > 50) {
+      throw new Error(game.i18n.localize('dnd5e-sheet-notes.templates.errors.name-too-long'));
+    }
+
+    if (!Object.values(NOTE_VARIANTS).includes(this.variant)) {
+      throw new Error(`Template variant must be one of ${Object.values(NOTE_VARIANTS).filter(Boolean).join(', ')} or blank`);
+    }
+
+    if (typeof this.content !== 'string' || typeof this.category !== 'string') {
+      throw new Error('Template content and category must be strings');
+    }
+
+    if (foundry.utils.getType(this.tracker) !== 'Object') {
+      throw new Error('Template tracker must be an object');
+    }
+
+    // Let the note data model decide whether the tracker settings are usable
+    try {
+      new NoteModel(this.getSystemData(''));
+    } catch (error) {
+      throw new Error(game.i18n.format('dnd5e-sheet-notes.templates.errors.invalid-tracker', {
+        error: error.message
+      }));
+    }
+  }
+
+  /**
+   * The note system data this template produces
+   * A quest template's checklist items become the quest's objectives.
+   * @param {string} category - The category key for the note
+   * @returns {Object} - Note system data
+   */
+  getSystemData(category) {
+    const entries = this.checklist.map(text => ({ id: foundry.utils.randomID(), text, done: false }));
+    const data = {
+      description: {
+        value: this.content
+      },
+      category,
+      tags: [...this.tags],
+      variant: this.variant,
+      tracker: foundry.utils.deepClone(this.tracker),
+      checklist: []
+    };
+
+    if (this.variant === NOTE_VARIANTS.QUEST) {
+      data.quest = { objectives: entries };
+    } else {
+      data.checklist = entries;
+    }
+    return data;
+  }
+
+  /**
+   * Create a note from this template, creating its category if the actor doesn't have it yet
+   * @param {Actor} actor - The actor to create the note on
+   * @returns {Promise<Item>} - The created note
+   */
+  async createNote(actor) {
+    if (!actor) throw new Error('Actor must be provided');
+
+    const category = await Category.ensurePath(actor, this.category.split('/'));
+    const [note] = await actor.createEmbeddedDocuments('Item', [{
+      name: this.noteName || this.name,
+      type: 'dnd5e-sheet-notes.note',
+      img: this.img,
+      system: this.getSystemData(category)
+    }]);
+
+    return note;
+  }
+
+  /**
+   * Update this template and save it to the world
+   * @param {Object} updates - Properties to update
+   * @returns {Promise<NoteTemplate>} - Returns this for chaining
+   */
+  async update(updates) {
+    const updated = new NoteTemplate({ ...this.toObject(), ...updates, id: this.id });
+    Object.assign(this, updated);
+
+    const templates = NoteTemplate.getAll();
+    const index = templates.findIndex(t => t.id === this.id);
+    if (index === -1) {
+      throw new Error(`Template with ID "${this.id}" not found`);
+    }
+
+    templates[index] = this;
+    await NoteTemplate.saveAll(templates);
+    return this;
+  }
+
+  /**
+   * Delete this template from the world
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await NoteTemplate.saveAll(NoteTemplate.getAll().filter(t => t.id !== this.id));
+  }
+
+  /**
+   * Every valid template in the world, sorted by name
+   * Invalid stored templates are skipped with a warning, and dropped the next time the templates are saved.
+   * @returns {Array<NoteTemplate>}
+   */
+  static getAll() {
+    const templates = game.settings.get(MODULE_ID, NOTE_TEMPLATES_SETTING) || [];
+    return templates
+      .flatMap(data => {
+        try {
+          return [new NoteTemplate(data)];
+        } catch (error) {
+          console.warn(`5e Sheet Notes & Trackers | Skipping invalid note template "${data?.name}"`, error);
+          return [];
+        }
+      })
+      .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+  }
+
+  /**
+   * Retrieve a template by ID
+   * @param {string} id - The template ID
+   * @returns {NoteTemplate|null}
+   */
+  static get(id) {
+    return NoteTemplate.getAll().find(t => t.id === id) ?? null;
+  }
+
+  /**
+   * Create a new template and save it to the world
+   * @param {Object} data - Template data
+   * @returns {Promise<NoteTemplate>} - The created template
+   */
+  static async create(data = {}) {
+    const template = new NoteTemplate({ ...data, id: foundry.utils.randomID() });
+    await NoteTemplate.saveAll([...NoteTemplate.getAll(), template]);
+    return template;
+  }
+
+  /**
+   * Replace every template in the world
+   * @param {Array<NoteTemplate|Object>} templates - The templates to keep
+   * @returns {Promise<void>}
+   */
+  static async saveAll(templates) {
+    const data = templates.map(t => (t instanceof NoteTemplate ? t.toObject() : new NoteTemplate(t).toObject()));
+    await game.settings.set(MODULE_ID, NOTE_TEMPLATES_SETTING, data);
+  }
+
+  /**
+   * Serialize every template to a versioned plain object
+   * @returns {Object} - The template file contents
+   */
+  static serialize() {
+    return {
+      format: TEMPLATES_FORMAT,
+      formatVersion: TEMPLATES_FORMAT_VERSION,
+      moduleVersion: game.modules.get(MODULE_ID)?.version,
+      exportedAt: new Date().toISOString(),
+      templates: NoteTemplate.getAll().map(t => t.toObject())
+    };
+  }
+
+  /**
+   * Download every template as a JSON file
+   */
+  static exportAll() {
+    saveDataToFile(JSON.stringify(NoteTemplate.serialize(), null, 2), 'text/json', 'note-templates.json');
+  }
+
+  /**
+   * Add templates from an exported template file, replacing any existing template with the same name
+   * @param {Object} data - The parsed template file
+   * @returns {Promise<number>} - The number of templates imported
+   * @throws {Error} - If the file is not a supported template file or a template is invalid
+   */
+  static async importAll(data) {
+    if (data?.format !== TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+      throw new Error(game.i18n.localize('dnd5e-sheet-notes.templates.errors.not-templates'));
+    }
+    if (!Number.isInteger(data.formatVersion) || data.formatVersion > TEMPLATES_FORMAT_VERSION) {
+      throw new Error(game.i18n.format('dnd5e-sheet-notes.transfer.errors.unsupported-version', {
+        version: data.formatVersion
+      }));
+    }
+
+    const imported = data.templates.map(t => new NoteTemplate({ ...t, id: foundry.utils.randomID() }));
+    const importedNames = new Set(imported.map(t => t.name.toLowerCase()));
+    const kept = NoteTemplate.getAll().filter(t => !importedNames.has(t.name.toLowerCase()));
+
+    await NoteTemplate.saveAll([...kept, ...imported]);
+    return imported.length;
+  }
+
+  /**
+   * Restore the built-in templates, replacing every template in the world
+   * @returns {Promise<void>}
+   */
+  static async resetDefaults() {
+    await NoteTemplate.saveAll(foundry.utils.deepClone(DEFAULT_NOTE_TEMPLATES));
+  }
+}
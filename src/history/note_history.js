@@ -0,0 +1,165 @@
+/**
+ * Note History
+ * Keeps a bounded list of earlier versions of each note's text, and compares and restores them
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+
+/**
+ * The world setting holding how many earlier versions of each note are kept
+ */
+export const HISTORY_SIZE_SETTING = 'historySize';
+
+/**
+ * Elements whose end starts a new line when comparing note text
+ */
+const BLOCK_END = /<\/(?:p|h[1-6]|li|blockquote|pre|tr|div|section)>|<br\s*\/?>|<hr\s*\/?>/gi;
+
+/**
+ * Register the hook that records a note's previous text whenever it changes
+ */
+export function registerHistoryHooks() {
+  Hooks.on('preUpdateItem', recordRevision);
+}
+
+/**
+ * Save a note's text as a revision before it is replaced, dropping the oldest revisions beyond the world's limit
+ * @param {Item} item - The item being updated
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ * @param {string} userId - The ID of the user making the update
+ */
+function recordRevision(item, changes, options, userId) {
+  if (item.type !== 'dnd5e-sheet-notes.note') return;
+
+  const content = foundry.utils.getProperty(changes, 'system.description.value');
+  const previous = item.system.description.value ?? '';
+  if ((content === undefined) || (content === previous) || !previous) return;
+
+  const size = game.settings.get(MODULE_ID, HISTORY_SIZE_SETTING);
+  const history = item.system.toObject().history;
+  history.push({ id: foundry.utils.randomID(), content: previous, time: Date.now(), user: userId });
+  foundry.utils.setProperty(changes, 'system.history', size > 0 ? history.slice(-size) : []);
+}
+
+/**
+ * Replace a note's text with one of its revisions
+ * The text being replaced becomes a revision itself, so a restore can be undone.
+ * @param {Item} note - The note
+ * @param {string} id - The revision ID
+ * @returns {Promise<Item|undefined>} The updated note, or undefined if the revision was not found
+ */
+export async function restoreRevision(note, id) {
+  const revision = note.system.history.find(r => r.id === id);
+  if (!revision) return;
+  return note.update({ 'system.description.value': revision.content });
+}
+
+/**
+ * Split note HTML into lines of plain text, one per block
+ * @param {string} html - The note HTML
+ * @returns {Array<string>}
+ */
+function toLines(html) {
+  // A template element parses the markup without loading images or running scripts
+  const template = document.createElement('template');
+  template.innerHTML = (html ?? '').replace(BLOCK_END, '$&\n');
+  return template.content.textContent
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Line up two sequences by their longest common subsequence
+ * @param {Array<string>} a - The old sequence
+ * @param {Array<string>} b - The new sequence
+ * @returns {Array<{type: string, a?: string, b?: string}>} Operations turning a into b, each "same", "removed",
+ *   or "added"
+ */
+function diffSequences(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while ((i < a.length) && (j < b.length)) {
+    if (a[i] === b[j]) {
+      operations.push({ type: 'same', a: a[i++], b: b[j++] });
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: 'removed', a: a[i++] });
+    } else {
+      operations.push({ type: 'added', b: b[j++] });
+    }
+  }
+  while (i < a.length) operations.push({ type: 'removed', a: a[i++] });
+  while (j < b.length) operations.push({ type: 'added', b: b[j++] });
+  return operations;
+}
+
+/**
+ * Mark the words that differ between two versions of a line
+ * @param {string} before - The old line
+ * @param {string} after - The new line
+ * @returns {{left: string, right: string}} HTML for each side, with removed words in <del> and added words in <ins>
+ */
+function diffWords(before, after) {
+  const escape = Handlebars.escapeExpression;
+  let left = '';
+  let right = '';
+  for (const { type, a, b } of diffSequences(before.split(/(\s+)/), after.split(/(\s+)/))) {
+    if (type === 'same') {
+      left += escape(a);
+      right += escape(b);
+    } else if (type === 'removed') {
+      left += `<del>${escape(a)}</del>`;
+    } else {
+      right += `<ins>${escape(b)}</ins>`;
+    }
+  }
+  return { left, right };
+}
+
+/**
+ * Compare two versions of a note's text line by line, for showing side by side
+ * Runs of removed lines followed by added lines are paired up as changed lines, with the differing words marked.
+ * @param {string} before - The older HTML
+ * @param {string} after - The newer HTML
+ * @returns {Array<{type: string, left: string, right: string}>} Rows of HTML, each "same", "removed", "added", or
+ *   "changed"
+ */
+export function diffRevisions(before, after) {
+  const escape = Handlebars.escapeExpression;
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    const paired = Math.min(removed.length, added.length);
+    for (let index = 0; index < paired; index++) {
+      rows.push({ type: 'changed', ...diffWords(removed[index], added[index]) });
+    }
+    removed.slice(paired).forEach(line => rows.push({ type: 'removed', left: escape(line), right: '' }));
+    added.slice(paired).forEach(line => rows.push({ type: 'added', left: '', right: escape(line) }));
+    removed = [];
+    added = [];
+  };
+
+  for (const { type, a, b } of diffSequences(toLines(before), toLines(after))) {
+    if (type === 'removed') {
+      removed.push(a);
+    } else if (type === 'added') {
+      added.push(b);
+    } else {
+      flush();
+      rows.push({ type, left: escape(a), right: escape(b) });
+    }
+  }
+  flush();
+  return rows;
+}
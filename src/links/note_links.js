@@ -0,0 +1,225 @@
+/**
+ * Note Links
+ * Wiki-style links between notes on the same actor, written as [[Note Name]] or @Note[id]{label}
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { getSearchIndex } from '../search/search_index.js';
+
+/**
+ * Update option recording a note's name before it was renamed
+ */
+const PREVIOUS_NAME_OPTION = `${MODULE_ID}.previousName`;
+
+/**
+ * Links by note name, such as [[Goblin King]]
+ * Foundry enriches inline rolls first, so only text that is not a roll formula reaches this pattern. Roll commands
+ * such as [[/r 1d20]] are excluded outright.
+ */
+const NAME_LINK = /\[\[(?!\/)([^[\]\n]+?)\]\]/g;
+
+/**
+ * Links by note ID with an optional label, such as @Note[k2Jd9aPq1mXcB7rT]{the king}
+ */
+const ID_LINK = /@Note\[([^\]\n]+)\](?:\{([^}\n]+)\})?/g;
+
+/**
+ * Register the link enrichers and the hooks that keep name links pointing at renamed notes
+ */
+export function registerNoteLinks() {
+  CONFIG.TextEditor.enrichers.push(
+    { pattern: NAME_LINK, enricher: enrichNameLink },
+    { pattern: ID_LINK, enricher: enrichIdLink }
+  );
+
+  Hooks.on('preUpdateItem', recordPreviousName);
+  Hooks.on('updateItem', offerLinkUpdate);
+}
+
+/**
+ * Compare note names the way links do, ignoring case and runs of whitespace
+ * @param {string} name - The name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return name.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Get the note on the same actor as the note being enriched
+ * @param {Object} options - The enrichment options
+ * @param {function(Actor): (Item|undefined)} find - Finds the target among the actor's items
+ * @returns {{source: Item, target: (Item|null)}|null} The enriched note and the linked note, or null if the text
+ *   being enriched does not belong to a note on an actor
+ */
+function resolveLink(options, find) {
+  const source = options?.relativeTo;
+  if (source?.type !== 'dnd5e-sheet-notes.note' || !source.parent) return null;
+
+  const target = find(source.parent);
+  return { source, target: target?.type === 'dnd5e-sheet-notes.note' ? target : null };
+}
+
+/**
+ * Find a note on an actor by name
+ * @param {Actor} actor - The actor
+ * @param {string} name - The note name
+ * @returns {Item|undefined}
+ */
+function findNoteByName(actor, name) {
+  const wanted = normalizeName(name);
+  return actor.items.find(item => item.type === 'dnd5e-sheet-notes.note' && normalizeName(item.name) === wanted);
+}
+
+/**
+ * Enrich a [[Note Name]] link
+ * @param {RegExpMatchArray} match - The matched link
+ * @param {Object} options - The enrichment options
+ * @returns {HTMLElement|null}
+ */
+function enrichNameLink(match, options) {
+  const name = match[1].trim();
+  const link = resolveLink(options, actor => findNoteByName(actor, name));
+  return link && createLink(link.target, name);
+}
+
+/**
+ * Enrich an @Note[id]{label} link
+ * @param {RegExpMatchArray} match - The matched link
+ * @param {Object} options - The enrichment options
+ * @returns {HTMLElement|null}
+ */
+function enrichIdLink(match, options) {
+  const [, id, label] = match;
+  const link = resolveLink(options, actor => actor.items.get(id.trim()));
+  return link && createLink(link.target, label ?? link.target?.name ?? id);
+}
+
+/**
+ * Create the element for a link, which opens the note when clicked
+ * Links to missing notes, or notes hidden from the current user, are shown as broken.
+ * @param {Item|null} target - The linked note
+ * @param {string} label - The link text
+ * @returns {HTMLElement}
+ */
+function createLink(target, label) {
+  if (target?.system.isVisibleTo(game.user)) {
+    return target.toAnchor({ name: label, classes: ['note-link'], icon: 'fas fa-note-sticky' });
+  }
+
+  const broken = document.createElement('span');
+  broken.className = 'note-link broken';
+  broken.dataset.tooltip = game.i18n.format('dnd5e-sheet-notes.links.missing', {
+    name: Handlebars.escapeExpression(label)
+  });
+  broken.innerHTML = '<i class="fas fa-unlink"></i>';
+  broken.append(label);
+  return broken;
+}
+
+/**
+ * Get the IDs of the notes a note links to
+ * @param {Item} note - The note
+ * @returns {Set<string>}
+ */
+export function getLinkedNoteIds(note) {
+  const actor = note.parent;
+  const ids = new Set();
+  if (!actor) return ids;
+
+  const text = getSearchIndex(actor).get(note).body.text;
+  for (const [, name] of text.matchAll(NAME_LINK)) {
+    const target = findNoteByName(actor, name);
+    if (target) ids.add(target.id);
+  }
+  for (const [, id] of text.matchAll(ID_LINK)) {
+    if (actor.items.get(id.trim())?.type === 'dnd5e-sheet-notes.note') ids.add(id.trim());
+  }
+  return ids;
+}
+
+/**
+ * Get the notes on the same actor that link to a note, sorted by name
+ * Only notes the current user may see are included.
+ * @param {Item} note - The linked note
+ * @returns {Array<Item>}
+ */
+export function getBacklinks(note) {
+  const actor = note.parent;
+  if (!actor) return [];
+
+  return actor.items
+    .filter(item => item.type === 'dnd5e-sheet-notes.note' && item.id !== note.id)
+    .filter(item => item.system.isVisibleTo(game.user) && getLinkedNoteIds(item).has(note.id))
+    .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+}
+
+/**
+ * Build a pattern matching the [[name]] links to a note in description HTML
+ * @param {string} name - The note name
+ * @returns {RegExp}
+ */
+function nameLinkPattern(name) {
+  // Descriptions are HTML, so look for the name as the editor would have escaped it
+  const escaper = document.createElement('span');
+  const words = name.trim().split(/\s+/).map(word => {
+    escaper.textContent = word;
+    return RegExp.escape(escaper.innerHTML);
+  });
+  return new RegExp(`\\[\\[(?:\\s|&nbsp;)*${words.join('(?:\\s|&nbsp;)+')}(?:\\s|&nbsp;)*\\]\\]`, 'gi');
+}
+
+/**
+ * Remember a note's name before it is renamed, so links to the old name can be found afterwards
+ * @param {Item} item - The item being updated
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ */
+function recordPreviousName(item, changes, options) {
+  if (item.type !== 'dnd5e-sheet-notes.note' || !('name' in changes)) return;
+  if (normalizeName(changes.name ?? '') === normalizeName(item.name)) return;
+  options[PREVIOUS_NAME_OPTION] = item.name;
+}
+
+/**
+ * Offer to point [[name]] links at a note's new name after it is renamed
+ * @param {Item} item - The renamed item
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ * @param {string} userId - The ID of the user who renamed the note
+ */
+async function offerLinkUpdate(item, changes, options, userId) {
+  const previousName = options[PREVIOUS_NAME_OPTION];
+  if (userId !== game.user.id || !previousName || !item.parent) return;
+
+  // Another note with the old name still answers to links written with it
+  if (findNoteByName(item.parent, previousName)) return;
+
+  const pattern = nameLinkPattern(previousName);
+  const replacement = `[[${Handlebars.escapeExpression(item.name)}]]`;
+  const updates = item.parent.items
+    .filter(note => note.type === 'dnd5e-sheet-notes.note' && note.isOwner)
+    .map(note => {
+      const description = note.system.description.value ?? '';
+      const updated = description.replace(pattern, () => replacement);
+      return updated === description ? null : { _id: note.id, 'system.description.value': updated };
+    })
+    .filter(Boolean);
+  if (!updates.length) return;
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize('dnd5e-sheet-notes.links.rename-title')
+    },
+    content: `<p>${game.i18n.format('dnd5e-sheet-notes.links.rename-confirm', {
+      count: updates.length,
+      from: Handlebars.escapeExpression(previousName),
+      to: Handlebars.escapeExpression(item.name)
+    })}</p>`,
+    rejectClose: false
+  });
+  if (!confirmed) return;
+
+  await item.parent.updateEmbeddedDocuments('Item', updates);
+  ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.links.updated', { count: updates.length }));
+}
@@ -3,6 +3,15 @@ import { NoteSheet } from './ui/note_sheet';
 import { initializeNotesTab } from './ui/notes_tab';
 import { registerSearchEnhancement } from './ui/search_enhancement';
 import { registerFavoriteEnhancement } from './ui/favorite_enhancement';
+import { registerClockHooks } from './trackers/clocks';
+import { registerRecoveryHooks } from './trackers/recovery';
+import { registerJournalHooks } from './transfer/journal';
+import { registerSearchIndexHooks } from './search/search_index';
+import { registerSettings } from './settings';
+import { registerNoteLinks } from './links/note_links';
+import { registerTimestampHooks } from './sessions/timestamps';
+import { registerQuestHooks } from './quests/quests';
+import { registerHistoryHooks } from './history/note_history';
 
 Hooks.once('init', () => {
   console.log('5e Sheet Notes & Trackers | Module initialized');
@@ -12,6 +21,7 @@ Hooks.once('init', () => {
   });
 
   NoteModel.setup();
+  registerSettings();
 
   DocumentSheetConfig.registerSheet(Item, 'dnd5e-sheet-notes', NoteSheet, {
     types: ['dnd5e-sheet-notes.note'],
@@ -19,6 +29,14 @@ Hooks.once('init', () => {
   });
 
   initializeNotesTab();
+  registerClockHooks();
+  registerRecoveryHooks();
+  registerJournalHooks();
+  registerSearchIndexHooks();
+  registerNoteLinks();
+  registerTimestampHooks();
+  registerQuestHooks();
+  registerHistoryHooks();
 });
 
 Hooks.once('setup', () => {
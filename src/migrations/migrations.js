@@ -3,7 +3,7 @@
  */
 
 import { id as MODULE_ID } from '../../module.json';
-import { migrateToV1 } from './v1.js';
+import { migrateDataToV1, migrateToV1 } from './v1.js';
 
 /**
  * Current migration version
@@ -17,6 +17,13 @@ const MIGRATIONS = {
   1: migrateToV1
 };
 
+/**
+ * The same migrations, for notebook data that is not on an actor
+ */
+const DATA_MIGRATIONS = {
+  1: migrateDataToV1
+};
+
 /**
  * Run any needed migrations for the actor's notes data
  * @param {Actor} actor - The actor to migrate
@@ -49,3 +56,16 @@ export async function runMigrations(actor) {
 
   await actor.setFlag(MODULE_ID, 'version', MIGRATION_VERSION);
 }
+
+/**
+ * Bring category and note data from an older notebook up to date in memory, before it is added to an actor
+ * @param {{categories: Array<Object>, notes: Array<Object>}} data - Category and note data, changed in place
+ * @param {number} version - The migration version the data was saved at
+ * @returns {{categories: Array<Object>, notes: Array<Object>}} The migrated data
+ */
+export function migrateNotebookData(data, version) {
+  for (let next = (version || 0) + 1; next <= MIGRATION_VERSION; next++) {
+    DATA_MIGRATIONS[next]?.(data);
+  }
+  return data;
+}
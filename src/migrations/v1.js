@@ -36,3 +36,26 @@ export async function migrateToV1(actor) {
     }
   }
 }
+
+/**
+ * Migration to version 1 for notebook data that is not on an actor yet, such as an imported notebook
+ * @param {{categories: Array<Object>, notes: Array<Object>}} data - Category and note data, changed in place
+ */
+export function migrateDataToV1(data) {
+  if (data.categories.some(c => c.name === 'Notes')) return;
+
+  const uncategorizedNotes = data.notes.filter(note => !note.system?.category);
+  if (!uncategorizedNotes.length) return;
+
+  const defaultCategory = {
+    key: foundry.utils.randomID(),
+    name: 'Notes',
+    ordering: 0,
+    collapsed: false
+  };
+
+  data.categories.unshift(defaultCategory);
+  for (const note of uncategorizedNotes) {
+    foundry.utils.setProperty(note, 'system.category', defaultCategory.key);
+  }
+}
@@ -1,4 +1,99 @@
 import { Category } from '../entities/category.js';
+import { formatDate, formatRealTime, formatWorldTime } from '../sessions/timestamps.js';
+
+/**
+ * Tracker variants a note can display
+ */
+export const TRACKER_TYPES = {
+  NONE: '',
+  COUNTER: 'counter',
+  CLOCK: 'clock',
+  CHECKLIST: 'checklist'
+};
+
+/**
+ * Segment counts available to clock trackers
+ */
+export const CLOCK_SEGMENTS = [4, 6, 8, 12];
+
+/**
+ * Periods on which a tracker can recover, matching dnd5e's limited use periods
+ */
+export const RECOVERY_PERIODS = {
+  NONE: '',
+  SHORT_REST: 'sr',
+  LONG_REST: 'lr',
+  DAWN: 'dawn'
+};
+
+/**
+ * Who may see a note on a sheet they can otherwise view
+ */
+export const NOTE_VISIBILITY = {
+  PUBLIC: 'public',
+  OWNER: 'owner',
+  GM: 'gm'
+};
+
+/**
+ * Kinds of note with their own structured fields
+ */
+export const NOTE_VARIANTS = {
+  NOTE: '',
+  QUEST: 'quest',
+  RELATIONSHIP: 'relationship'
+};
+
+/**
+ * Progress states of a quest
+ */
+export const QUEST_STATUSES = {
+  ACTIVE: 'active',
+  ON_HOLD: 'on-hold',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * How an NPC regards the characters, from hostile to allied
+ */
+export const RELATIONSHIP_ATTITUDES = {
+  HOSTILE: -2,
+  UNFRIENDLY: -1,
+  NEUTRAL: 0,
+  FRIENDLY: 1,
+  ALLIED: 2
+};
+
+/**
+ * Lists of checkable entries on a note, by the path of their data within the note's system data
+ */
+const ENTRY_LISTS = {
+  checklist: 'checklist',
+  objectives: 'quest.objectives'
+};
+
+/**
+ * Schema for a list of checkable entries
+ * @returns {ArrayField}
+ */
+function entryListField() {
+  const fields = foundry.data.fields;
+  return new fields.ArrayField(new fields.SchemaField({
+    id: new fields.StringField({
+      required: true,
+      blank: false,
+      initial: () => foundry.utils.randomID()
+    }),
+    text: new fields.StringField({
+      initial: '',
+      blank: true
+    }),
+    done: new fields.BooleanField({
+      initial: false
+    })
+  }));
+}
 
 /**
  * Data model for Note items extending Foundry's DataModel
@@ -20,6 +115,644 @@ export class NoteModel extends foundry.abstract.DataModel {
       category: new fields.StringField({
         initial: '',
         blank: true
+      }),
+      visibility: new fields.StringField({
+        initial: NOTE_VISIBILITY.PUBLIC,
+        blank: false,
+        choices: Object.values(NOTE_VISIBILITY)
+      }),
+      tags: new fields.ArrayField(new fields.StringField({
+        blank: false
+      })),
+      tracker: new fields.SchemaField({
+        type: new fields.StringField({
+          initial: TRACKER_TYPES.NONE,
+          blank: true,
+          choices: Object.values(TRACKER_TYPES)
+        }),
+        value: new fields.NumberField({
+          initial: 0,
+          integer: true,
+          nullable: false
+        }),
+        min: new fields.NumberField({
+          initial: 0,
+          integer: true,
+          nullable: true
+        }),
+        max: new fields.NumberField({
+          initial: null,
+          integer: true,
+          nullable: true
+        }),
+        step: new fields.NumberField({
+          initial: 1,
+          integer: true,
+          positive: true,
+          nullable: false
+        }),
+        segments: new fields.NumberField({
+          initial: CLOCK_SEGMENTS[0],
+          integer: true,
+          nullable: false,
+          choices: CLOCK_SEGMENTS
+        }),
+        announce: new fields.BooleanField({
+          initial: false
+        }),
+        recovery: new fields.SchemaField({
+          period: new fields.StringField({
+            initial: RECOVERY_PERIODS.NONE,
+            blank: true,
+            choices: Object.values(RECOVERY_PERIODS)
+          }),
+          formula: new fields.StringField({
+            initial: '',
+            blank: true
+          })
+        })
+      }),
+      checklist: entryListField(),
+      variant: new fields.StringField({
+        initial: NOTE_VARIANTS.NOTE,
+        blank: true,
+        choices: Object.values(NOTE_VARIANTS)
+      }),
+      quest: new fields.SchemaField({
+        status: new fields.StringField({
+          initial: QUEST_STATUSES.ACTIVE,
+          blank: false,
+          choices: Object.values(QUEST_STATUSES)
+        }),
+        giver: new fields.StringField({
+          initial: '',
+          blank: true
+        }),
+        reward: new fields.StringField({
+          initial: '',
+          blank: true
+        }),
+        objectives: entryListField(),
+        announce: new fields.BooleanField({
+          initial: false
+        })
+      }),
+      relationship: new fields.SchemaField({
+        actor: new fields.StringField({
+          initial: '',
+          blank: true
+        }),
+        attitude: new fields.NumberField({
+          initial: RELATIONSHIP_ATTITUDES.NEUTRAL,
+          integer: true,
+          nullable: false,
+          min: RELATIONSHIP_ATTITUDES.HOSTILE,
+          max: RELATIONSHIP_ATTITUDES.ALLIED
+        }),
+        interactions: new fields.ArrayField(new fields.SchemaField({
+          id: new fields.StringField({
+            required: true,
+            blank: false,
+            initial: () => foundry.utils.randomID()
+          }),
+          text: new fields.StringField({
+            initial: '',
+            blank: true
+          }),
+          time: new fields.NumberField({
+            initial: null,
+            integer: true,
+            nullable: true
+          }),
+          worldTime: new fields.NumberField({
+            initial: null,
+            nullable: true
+          })
+        }))
+      }),
+      journal: new fields.SchemaField({
+        uuid: new fields.StringField({
+          initial: '',
+          blank: true
+        }),
+        sync: new fields.BooleanField({
+          initial: false
+        })
+      }),
+      timestamps: new fields.SchemaField({
+        created: new fields.NumberField({
+          initial: null,
+          integer: true,
+          nullable: true
+        }),
+        modified: new fields.NumberField({
+          initial: null,
+          integer: true,
+          nullable: true
+        }),
+        worldTime: new fields.NumberField({
+          initial: null,
+          nullable: true
+        })
+      }),
+      history: new fields.ArrayField(new fields.SchemaField({
+        id: new fields.StringField({
+          required: true,
+          blank: false,
+          initial: () => foundry.utils.randomID()
+        }),
+        content: new fields.HTMLField({
+          initial: '',
+          blank: true
+        }),
+        time: new fields.NumberField({
+          initial: null,
+          integer: true,
+          nullable: true
+        }),
+        user: new fields.StringField({
+          initial: '',
+          blank: true
+        })
+      }))
+    };
+  }
+
+  /**
+   * Whether the given user may see this note
+   * @param {User} [user] - The user to test, defaults to the current user
+   * @returns {boolean}
+   */
+  isVisibleTo(user = game.user) {
+    switch (this.visibility) {
+      case NOTE_VISIBILITY.GM:
+        return user.isGM;
+      case NOTE_VISIBILITY.OWNER:
+        return user.isGM || this.parent.testUserPermission(user, 'OWNER');
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Whether this note is hidden from some users who can see its actor
+   * @returns {boolean}
+   */
+  get isRestricted() {
+    return this.visibility !== NOTE_VISIBILITY.PUBLIC;
+  }
+
+  /**
+   * Whether this note has every one of the given tags, ignoring case
+   * @param {Iterable<string>} tags - The tags to test for
+   * @returns {boolean}
+   */
+  hasTags(tags) {
+    const own = new Set(this.tags.map(tag => tag.toLowerCase()));
+    return Array.from(tags).every(tag => own.has(tag.toLowerCase()));
+  }
+
+  /**
+   * Whether this note is linked to a journal entry page
+   * @returns {boolean}
+   */
+  get isLinked() {
+    return !!this.journal.uuid;
+  }
+
+  /**
+   * When this note was created, in milliseconds since the epoch
+   * Notes created before timestamps were recorded fall back to the time Foundry stored for the item.
+   * @returns {number|null}
+   */
+  get createdTime() {
+    return this.timestamps.created ?? this.parent?._stats?.createdTime ?? null;
+  }
+
+  /**
+   * When this note's content was last changed, in milliseconds since the epoch
+   * @returns {number|null}
+   */
+  get modifiedTime() {
+    return this.timestamps.modified ?? this.parent?._stats?.modifiedTime ?? this.createdTime;
+  }
+
+  /**
+   * When this note was created, written in the world's date format for timelines
+   * @returns {string}
+   */
+  get dateLabel() {
+    return formatDate(this.createdTime, this.timestamps.worldTime);
+  }
+
+  /**
+   * HTML describing when this note was created and last modified
+   * @returns {string}
+   */
+  get dateTooltip() {
+    const lines = [];
+    if (this.createdTime !== null) {
+      lines.push(game.i18n.format('dnd5e-sheet-notes.sessions.created', {
+        date: formatRealTime(this.createdTime, { time: true })
+      }));
+    }
+    if (this.timestamps.worldTime !== null) {
+      lines.push(game.i18n.format('dnd5e-sheet-notes.sessions.in-game', {
+        date: formatWorldTime(this.timestamps.worldTime)
+      }));
+    }
+    if (this.modifiedTime !== null) {
+      lines.push(game.i18n.format('dnd5e-sheet-notes.sessions.modified', {
+        date: formatRealTime(this.modifiedTime, { time: true })
+      }));
+    }
+    return lines.join('<br>');
+  }
+
+  /**
+   * Whether this note displays a numeric counter
+   * @returns {boolean}
+   */
+  get isCounter() {
+    return this.tracker.type === TRACKER_TYPES.COUNTER;
+  }
+
+  /**
+   * Display label for the counter, e.g. "3 / 5" or "3" when unbounded
+   * @returns {string}
+   */
+  get counterLabel() {
+    const { value, max } = this.tracker;
+    return max === null ? `${value}` : `${value} / ${max}`;
+  }
+
+  /**
+   * Whether this note displays a segmented clock
+   * @returns {boolean}
+   */
+  get isClock() {
+    return this.tracker.type === TRACKER_TYPES.CLOCK;
+  }
+
+  /**
+   * Whether this note's clock has every segment filled
+   * @returns {boolean}
+   */
+  get isClockComplete() {
+    return this.isClock && this.tracker.value >= this.tracker.segments;
+  }
+
+  /**
+   * SVG wedge paths for each clock segment, drawn in a 100x100 viewBox
+   * @returns {Array<Object>} Segment descriptors with index, path, and filled state
+   */
+  get clockSegments() {
+    const { segments, value } = this.tracker;
+    const radius = 48;
+    const point = angle => {
+      const radians = (angle - 90) * Math.PI / 180;
+      return `${(50 + (radius * Math.cos(radians))).toFixed(3)} ${(50 + (radius * Math.sin(radians))).toFixed(3)}`;
+    };
+
+    return Array.fromRange(segments).map(index => {
+      const start = point(index * 360 / segments);
+      const end = point((index + 1) * 360 / segments);
+      return {
+        index,
+        path: `M50 50 L${start} A${radius} ${radius} 0 0 1 ${end} Z`,
+        filled: index < value
+      };
+    });
+  }
+
+  /**
+   * Whether this note displays a checklist
+   * @returns {boolean}
+   */
+  get isChecklist() {
+    return this.tracker.type === TRACKER_TYPES.CHECKLIST;
+  }
+
+  /**
+   * Completion summary for the checklist
+   * @returns {{done: number, total: number, pct: number}}
+   */
+  get checklistProgress() {
+    return NoteModel.#progress(this.checklist);
+  }
+
+  /**
+   * Whether this note is a quest
+   * @returns {boolean}
+   */
+  get isQuest() {
+    return this.variant === NOTE_VARIANTS.QUEST;
+  }
+
+  /**
+   * Whether this note is a quest that is no longer being pursued because it succeeded
+   * @returns {boolean}
+   */
+  get isQuestCompleted() {
+    return this.isQuest && this.quest.status === QUEST_STATUSES.COMPLETED;
+  }
+
+  /**
+   * Completion summary for the quest objectives
+   * @returns {{done: number, total: number, pct: number}}
+   */
+  get objectiveProgress() {
+    return NoteModel.#progress(this.quest.objectives);
+  }
+
+  /**
+   * Whether this note tracks a relationship with an NPC
+   * @returns {boolean}
+   */
+  get isRelationship() {
+    return this.variant === NOTE_VARIANTS.RELATIONSHIP;
+  }
+
+  /**
+   * The actor this relationship is with, which may be a compendium index entry
+   * @returns {Actor|Object|null}
+   */
+  get relationshipActor() {
+    if (!this.isRelationship || !this.relationship.actor) return null;
+    try {
+      return fromUuidSync(this.relationship.actor);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * The relationship actor's name escaped for a tooltip, since tooltips are rendered as HTML
+   * @returns {string}
+   */
+  get relationshipTooltip() {
+    return Handlebars.escapeExpression(this.relationshipActor?.name ?? '');
+  }
+
+  /**
+   * Name of the relationship's attitude, used for its label and styling, e.g. "friendly"
+   * @returns {string}
+   */
+  get attitudeKey() {
+    const [key] = Object.entries(RELATIONSHIP_ATTITUDES).find(([, value]) => value === this.relationship.attitude)
+      ?? ['NEUTRAL'];
+    return key.toLowerCase();
+  }
+
+  /**
+   * The relationship's interactions from newest to oldest, with their dates written for display
+   * @returns {Array<Object>}
+   */
+  get interactionLog() {
+    return this.relationship.interactions
+      .map(interaction => ({ ...interaction, date: formatDate(interaction.time, interaction.worldTime) }))
+      .reverse();
+  }
+
+  /**
+   * Record an interaction with the relationship's NPC, dated now
+   * @param {string} [text] - What happened
+   * @returns {Promise<Item>} The updated item
+   */
+  async addInteraction(text = '') {
+    const interactions = this.toObject().relationship.interactions;
+    interactions.push({ id: foundry.utils.randomID(), text, time: Date.now(), worldTime: game.time.worldTime });
+    return this.parent.update({ 'system.relationship.interactions': interactions });
+  }
+
+  /**
+   * Update a single interaction
+   * @param {string} id - The interaction ID
+   * @param {Object} changes - Properties to change on the interaction
+   * @returns {Promise<Item|undefined>} The updated item, or undefined if the interaction was not found
+   */
+  async updateInteraction(id, changes) {
+    const interactions = this.toObject().relationship.interactions;
+    const interaction = interactions.find(i => i.id === id);
+    if (!interaction) return;
+    Object.assign(interaction, changes);
+    return this.parent.update({ 'system.relationship.interactions': interactions });
+  }
+
+  /**
+   * Remove an interaction from the log
+   * @param {string} id - The interaction ID
+   * @returns {Promise<Item>} The updated item
+   */
+  async removeInteraction(id) {
+    const interactions = this.toObject().relationship.interactions.filter(i => i.id !== id);
+    return this.parent.update({ 'system.relationship.interactions': interactions });
+  }
+
+  /**
+   * Completion summary for a list of checkable entries
+   * @param {Array<{done: boolean}>} entries - The entries
+   * @returns {{done: number, total: number, pct: number}}
+   */
+  static #progress(entries) {
+    const total = entries.length;
+    const done = entries.filter(entry => entry.done).length;
+    return {
+      done,
+      total,
+      pct: total ? Math.round((done / total) * 100) : 0
+    };
+  }
+
+  /**
+   * Bounds that apply to the tracker value for the current tracker type
+   * @returns {{min: number|null, max: number|null}}
+   */
+  get trackerBounds() {
+    if (this.isClock) return { min: 0, max: this.tracker.segments };
+    return { min: this.tracker.min, max: this.tracker.max };
+  }
+
+  /**
+   * Whether this note has a tracker of any type
+   * @returns {boolean}
+   */
+  get hasTracker() {
+    return this.tracker.type !== TRACKER_TYPES.NONE;
+  }
+
+  /**
+   * Value a full reset restores the tracker to: empty for clocks, otherwise the maximum if bounded
+   * @returns {number}
+   */
+  get trackerResetValue() {
+    const { min, max } = this.trackerBounds;
+    if (this.isClock) return min;
+    return max ?? min ?? 0;
+  }
+
+  /**
+   * Clamp a tracker value to the configured min and max bounds
+   * @param {number} value - The value to clamp
+   * @returns {number} The clamped value
+   */
+  clampTrackerValue(value) {
+    const { min, max } = this.trackerBounds;
+    if (min !== null) value = Math.max(min, value);
+    if (max !== null) value = Math.min(max, value);
+    return value;
+  }
+
+  /**
+   * Adjust the counter by a number of steps and persist the result
+   * @param {number} steps - Number of steps to move (negative to decrement)
+   * @returns {Promise<Item|undefined>} The updated item, or undefined if unchanged
+   */
+  async adjustCounter(steps) {
+    const value = this.clampTrackerValue(this.tracker.value + (steps * this.tracker.step));
+    if (value === this.tracker.value) return;
+    return this.parent.update({ 'system.tracker.value': value });
+  }
+
+  /**
+   * Fill a clock up to and including the given segment, or clear it if it is the last filled segment
+   * @param {number} index - Zero-based index of the clicked segment
+   * @returns {Promise<Item|undefined>} The updated item, or undefined if unchanged
+   */
+  async toggleClockSegment(index) {
+    const filled = index + 1 === this.tracker.value ? index : index + 1;
+    const value = this.clampTrackerValue(filled);
+    if (value === this.tracker.value) return;
+    return this.parent.update({ 'system.tracker.value': value });
+  }
+
+  /**
+   * Append a new entry to a checklist
+   * @param {string} [text] - Text for the new entry
+   * @param {string} [list] - The list to add to: "checklist" or "objectives"
+   * @returns {Promise<Item>} The updated item
+   */
+  async addChecklistItem(text = '', list = 'checklist') {
+    const entries = this.#getEntries(list);
+    entries.push({ id: foundry.utils.randomID(), text, done: false });
+    return this.#saveEntries(list, entries);
+  }
+
+  /**
+   * Update a single checklist entry
+   * @param {string} id - The entry ID
+   * @param {Object} changes - Properties to change on the entry
+   * @param {string} [list] - The list holding the entry: "checklist" or "objectives"
+   * @returns {Promise<Item|undefined>} The updated item, or undefined if the entry was not found
+   */
+  async updateChecklistItem(id, changes, list = 'checklist') {
+    const entries = this.#getEntries(list);
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    Object.assign(entry, changes);
+    return this.#saveEntries(list, entries);
+  }
+
+  /**
+   * Toggle the done flag of a checklist entry
+   * @param {string} id - The entry ID
+   * @param {string} [list] - The list holding the entry: "checklist" or "objectives"
+   * @returns {Promise<Item|undefined>} The updated item, or undefined if the entry was not found
+   */
+  async toggleChecklistItem(id, list = 'checklist') {
+    const entry = this.#getEntries(list).find(e => e.id === id);
+    if (!entry) return;
+    return this.updateChecklistItem(id, { done: !entry.done }, list);
+  }
+
+  /**
+   * Move a checklist entry up or down the list
+   * @param {string} id - The entry ID
+   * @param {number} offset - Positions to move (negative moves up)
+   * @param {string} [list] - The list holding the entry: "checklist" or "objectives"
+   * @returns {Promise<Item|undefined>} The updated item, or undefined if unchanged
+   */
+  async moveChecklistItem(id, offset, list = 'checklist') {
+    const entries = this.#getEntries(list);
+    const from = entries.findIndex(e => e.id === id);
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= entries.length) return;
+    const [entry] = entries.splice(from, 1);
+    entries.splice(to, 0, entry);
+    return this.#saveEntries(list, entries);
+  }
+
+  /**
+   * Remove an entry from a checklist
+   * @param {string} id - The entry ID
+   * @param {string} [list] - The list holding the entry: "checklist" or "objectives"
+   * @returns {Promise<Item>} The updated item
+   */
+  async removeChecklistItem(id, list = 'checklist') {
+    return this.#saveEntries(list, this.#getEntries(list).filter(e => e.id !== id));
+  }
+
+  /**
+   * Get a copy of a list of checkable entries
+   * @param {string} list - The list: "checklist" or "objectives"
+   * @returns {Array<Object>}
+   */
+  #getEntries(list) {
+    if (!(list in ENTRY_LISTS)) throw new Error(`Unknown checklist "${list}"`);
+    return foundry.utils.getProperty(this.toObject(), ENTRY_LISTS[list]);
+  }
+
+  /**
+   * Replace a list of checkable entries
+   * @param {string} list - The list: "checklist" or "objectives"
+   * @param {Array<Object>} entries - The new entries
+   * @returns {Promise<Item>} The updated item
+   */
+  #saveEntries(list, entries) {
+    return this.parent.update({ [`system.${ENTRY_LISTS[list]}`]: entries });
+  }
+
+  /**
+   * Determine how this tracker recovers for the given periods, rolling any recovery formula
+   * @param {string[]} periods - Recovery periods that have elapsed, from RECOVERY_PERIODS
+   * @returns {Promise<{update: Object, summary: string}|null>} Item update data and an HTML summary line with the
+   *   note's name escaped, or null if nothing is recovered
+   */
+  async getRecoveryUpdate(periods) {
+    const { period, formula } = this.tracker.recovery;
+    if (!this.hasTracker || !period || !periods.includes(period)) return null;
+
+    if (this.isChecklist) {
+      const { done } = this.checklistProgress;
+      if (!done) return null;
+      return {
+        update: {
+          _id: this.parent.id,
+          'system.checklist': this.toObject().checklist.map(entry => ({ ...entry, done: false }))
+        },
+        summary: game.i18n.format('dnd5e-sheet-notes.tracker.recovery.checklist', {
+          name: Handlebars.escapeExpression(this.parent.name)
+        })
+      };
+    }
+
+    let value = this.trackerResetValue;
+    if (formula) {
+      const roll = await new Roll(formula, this.parent.getRollData()).evaluate();
+      value = this.tracker.value + roll.total;
+    }
+    value = this.clampTrackerValue(value);
+    if (value === this.tracker.value) return null;
+
+    return {
+      update: {
+        _id: this.parent.id,
+        'system.tracker.value': value
+      },
+      summary: game.i18n.format('dnd5e-sheet-notes.tracker.recovery.value', {
+        name: Handlebars.escapeExpression(this.parent.name),
+        from: this.tracker.value,
+        to: value
       })
     };
   }
@@ -34,7 +767,11 @@ export class NoteModel extends foundry.abstract.DataModel {
     if (this.category) {
       const category = Category.fromActor(this.parent.parent, this.category);
       if (category) {
-        subtitle = category.name;
+        const chip = document.createElement('span');
+        chip.className = 'note-category-chip';
+        chip.textContent = category.name;
+        if (category.color) chip.style.setProperty('--note-category-color', category.color);
+        subtitle = chip.outerHTML;
       }
     }
 
@@ -45,6 +782,24 @@ export class NoteModel extends foundry.abstract.DataModel {
     };
   }
 
+  /**
+   * Turn user input into a clean list of tags, trimming whitespace and dropping blanks and case-insensitive duplicates
+   * @param {string|Array<string>} value - A comma-separated string or an array of tags
+   * @returns {Array<string>} The tags
+   */
+  static normalizeTags(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const seen = new Set();
+    return list.reduce((tags, tag) => {
+      tag = String(tag).replace(/\s+/g, ' ').trim();
+      if (tag && !seen.has(tag.toLowerCase())) {
+        seen.add(tag.toLowerCase());
+        tags.push(tag);
+      }
+      return tags;
+    }, []);
+  }
+
   /**
    * Configure the Note item type settings
    */
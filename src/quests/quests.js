@@ -0,0 +1,91 @@
+/**
+ * Quest Hooks
+ * Detects quest status changes and announces them to the party
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { QUEST_STATUSES } from '../models/note_model.js';
+
+/**
+ * Update option recording a quest's status before it was changed
+ */
+const PREVIOUS_STATUS_OPTION = `${MODULE_ID}.previousStatus`;
+
+/**
+ * Register hooks that watch for quests changing status
+ */
+export function registerQuestHooks() {
+  Hooks.on('preUpdateItem', recordPreviousStatus);
+  Hooks.on('updateItem', onUpdateItem);
+}
+
+/**
+ * Remember a quest's status before it changes, so the change can be described afterwards
+ * @param {Item} item - The item being updated
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ */
+function recordPreviousStatus(item, changes, options) {
+  if (item.type !== 'dnd5e-sheet-notes.note' || !item.system.isQuest) return;
+  const status = foundry.utils.getProperty(changes, 'system.quest.status');
+  if (status && status !== item.system.quest.status) {
+    options[PREVIOUS_STATUS_OPTION] = item.system.quest.status;
+  }
+}
+
+/**
+ * Fire the status hook and post a chat card when a quest's status changes
+ * @param {Item} item - The updated item
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ * @param {string} userId - The ID of the user who made the update
+ */
+function onUpdateItem(item, changes, options, userId) {
+  const previous = options[PREVIOUS_STATUS_OPTION];
+  if (item.type !== 'dnd5e-sheet-notes.note' || !previous || !item.system.isQuest) return;
+
+  /**
+   * A hook event that fires on every client when a quest note's status changes.
+   * @function dnd5e-sheet-notes.questStatusChanged
+   * @memberof hookEvents
+   * @param {Item} item         The quest note.
+   * @param {string} previous   The status the quest had before.
+   * @param {string} userId     The ID of the user who changed the status.
+   */
+  Hooks.callAll('dnd5e-sheet-notes.questStatusChanged', item, previous, userId);
+
+  if (userId === game.user.id && item.system.quest.announce) {
+    postQuestStatusCard(item);
+  }
+}
+
+/**
+ * Post a chat card announcing a quest's new status
+ * Quests hidden from some players are only whispered to the users who may see them.
+ * @param {Item} item - The quest note
+ * @returns {Promise<ChatMessage>}
+ */
+async function postQuestStatusCard(item) {
+  const { status, reward } = item.system.quest;
+  const giver = item.system.quest.giver ? fromUuidSync(item.system.quest.giver) : null;
+
+  const content = await renderTemplate('modules/dnd5e-sheet-notes/templates/quest_card.hbs', {
+    item,
+    status,
+    message: game.i18n.format(`dnd5e-sheet-notes.quest.announce.${status}`, { name: item.name }),
+    giver: giver?.name,
+    reward: status === QUEST_STATUSES.COMPLETED ? reward : '',
+    progress: item.system.objectiveProgress
+  });
+
+  const messageData = {
+    user: game.user.id,
+    content,
+    speaker: ChatMessage.getSpeaker({ actor: item.parent })
+  };
+  if (item.system.isRestricted) {
+    messageData.whisper = game.users.filter(user => item.system.isVisibleTo(user)).map(user => user.id);
+  }
+
+  return ChatMessage.create(messageData);
+}
@@ -0,0 +1,175 @@
+/**
+ * Notes Search Query Language
+ * Parses search box input such as `tag:npc category:Quests "black dragon" -resolved is:favorite`
+ */
+
+import { Category } from '../entities/category.js';
+import { fold } from './search_index.js';
+
+/**
+ * Operators that filter notes by a property instead of by their text
+ */
+export const QUERY_OPERATORS = {
+  CATEGORY: 'category',
+  TAG: 'tag',
+  IS: 'is'
+};
+
+/**
+ * Values accepted by the `is:` operator
+ */
+export const QUERY_STATES = {
+  FAVORITE: 'favorite',
+  EMPTY: 'empty'
+};
+
+/**
+ * A bare word, a quoted phrase, or an operator with a bare or quoted value, each optionally negated
+ */
+const TOKEN = /(-?)(?:([a-z]+):)?(?:"([^"]*)("?)|(\S+))/giy;
+
+/**
+ * Parse a search query
+ * Operator names are case-insensitive. Unrecognized `name:value` pairs are searched for as plain text, since colons
+ * are common in notes. Invalid clauses are left out of the query and described in its errors, so the rest of the
+ * query still applies.
+ * @param {string} input - The search box text
+ * @returns {{terms: Array<string>, phrases: Array<string>, excluded: Array<string>, filters: Array<Object>,
+ *   errors: Array<string>, isEmpty: boolean}} The parsed query. Filters are {operator, value, negate} objects.
+ */
+export function parseQuery(input) {
+  const query = { terms: [], phrases: [], excluded: [], filters: [], errors: [] };
+  const text = String(input ?? '');
+
+  let position = 0;
+  while (position < text.length) {
+    const whitespace = /\s+/y;
+    whitespace.lastIndex = position;
+    if (whitespace.test(text)) {
+      position = whitespace.lastIndex;
+      continue;
+    }
+
+    TOKEN.lastIndex = position;
+    const match = TOKEN.exec(text);
+    position = TOKEN.lastIndex;
+
+    const [raw, minus, name, quoted, closingQuote, bare] = match;
+    const negate = minus === '-';
+    const operator = name?.toLowerCase();
+    const value = quoted ?? bare;
+
+    if (quoted !== undefined && !closingQuote) {
+      query.errors.push(game.i18n.localize('dnd5e-sheet-notes.search.errors.unclosed-quote'));
+    }
+
+    const dangling = !operator && (quoted === undefined) && bare.match(/^-?([a-z]+):$/i);
+    if (dangling && Object.values(QUERY_OPERATORS).includes(dangling[1].toLowerCase())) {
+      addFilter(query, dangling[1].toLowerCase(), '', negate);
+    } else if (operator && Object.values(QUERY_OPERATORS).includes(operator)) {
+      addFilter(query, operator, value.trim(), negate);
+    } else if (operator) {
+      // Not an operator, so search for the text as written
+      addText(query, raw.slice(negate ? 1 : 0), negate, false);
+    } else {
+      addText(query, value, negate, quoted !== undefined);
+    }
+  }
+
+  query.isEmpty = !query.terms.length && !query.phrases.length && !query.excluded.length && !query.filters.length;
+  return query;
+}
+
+/**
+ * Add a text clause to a query
+ * @param {Object} query - The query being built
+ * @param {string} value - The word or phrase
+ * @param {boolean} negate - Whether notes containing the text are excluded
+ * @param {boolean} phrase - Whether the text was quoted
+ */
+function addText(query, value, negate, phrase) {
+  if (!value.trim()) return;
+  if (negate) query.excluded.push(value);
+  else if (phrase) query.phrases.push(value);
+  else query.terms.push(value);
+}
+
+/**
+ * Add an operator clause to a query, or an error if its value is not valid
+ * @param {Object} query - The query being built
+ * @param {string} operator - One of QUERY_OPERATORS
+ * @param {string} value - The operator's value
+ * @param {boolean} negate - Whether notes matching the clause are excluded
+ */
+function addFilter(query, operator, value, negate) {
+  if (!value) {
+    query.errors.push(game.i18n.format('dnd5e-sheet-notes.search.errors.missing-value', { operator }));
+    return;
+  }
+
+  if (operator === QUERY_OPERATORS.IS) {
+    value = value.toLowerCase();
+    if (!Object.values(QUERY_STATES).includes(value)) {
+      query.errors.push(game.i18n.format('dnd5e-sheet-notes.search.errors.unknown-state', { value }));
+      return;
+    }
+  }
+
+  query.filters.push({ operator, value, negate });
+}
+
+/**
+ * Whether a note passes every operator clause of a query
+ * @param {Item} note - The note
+ * @param {Object} query - A query from parseQuery
+ * @param {Object} context - Shared lookup data
+ * @param {Array<Object>} context.categories - The actor's category data
+ * @param {function(Item): boolean} context.isEmpty - Whether a note has no content
+ * @returns {boolean}
+ */
+export function matchesFilters(note, query, { categories, isEmpty }) {
+  return query.filters.every(({ operator, value, negate }) => {
+    let matched;
+    switch (operator) {
+      case QUERY_OPERATORS.CATEGORY:
+        matched = matchesCategory(note, value, categories);
+        break;
+      case QUERY_OPERATORS.TAG:
+        matched = note.system.tags.some(tag => fold(tag) === fold(value));
+        break;
+      case QUERY_OPERATORS.IS:
+        matched = value === QUERY_STATES.FAVORITE ? isFavorite(note) : isEmpty(note);
+        break;
+    }
+    return matched !== negate;
+  });
+}
+
+/**
+ * Whether a note is in a category, or one of its sub-categories, with the given name or "/" separated path
+ * @param {Item} note - The note
+ * @param {string} value - The category name or path
+ * @param {Array<Object>} categories - The actor's category data
+ * @returns {boolean}
+ */
+function matchesCategory(note, value, categories) {
+  const key = note.system.category || categories.find(c => c.name === 'Notes')?.key;
+  const names = key ? Category.path(categories, key).map(c => fold(c.name)) : [fold('Notes')];
+  const wanted = value.split('/').map(part => fold(part.trim())).filter(Boolean);
+
+  // The wanted path may start at any level of the note's category path
+  for (let start = 0; start + wanted.length <= names.length; start++) {
+    if (wanted.every((name, i) => names[start + i] === name)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether a note is on its actor's favorites bar
+ * @param {Item} note - The note
+ * @returns {boolean}
+ */
+function isFavorite(note) {
+  const actor = note.parent;
+  return !!actor?.system.hasFavorite?.(note.getRelativeUUID(actor));
+}
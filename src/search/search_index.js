@@ -0,0 +1,320 @@
+/**
+ * Note Search Index
+ * Caches the searchable text of each actor's notes so searching does not re-parse note HTML on every keystroke
+ */
+
+/**
+ * Combining marks removed when folding accented characters
+ */
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * Closing tags of elements whose text should not run into the next element's text
+ */
+const BLOCK_END = /<\/(?:p|div|li|h[1-6]|td|th|blockquote|pre)>|<br\s*\/?>/gi;
+
+/**
+ * Words in folded text
+ */
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Shortest search term that is matched fuzzily
+ */
+const FUZZY_MIN_LENGTH = 4;
+
+/**
+ * Characters of context shown either side of a match in a snippet
+ */
+const SNIPPET_RADIUS = 40;
+
+/**
+ * Relative weights of the ways a term can match a note
+ */
+const SCORES = {
+  TITLE: 10,
+  TITLE_WORD_START: 2,
+  TITLE_FUZZY: 6,
+  BODY: 3,
+  BODY_FUZZY: 1
+};
+
+/**
+ * Search indexes by actor UUID
+ * @type {Map<string, NoteSearchIndex>}
+ */
+const indexes = new Map();
+
+/**
+ * Register hooks that discard cached note text when notes change
+ */
+export function registerSearchIndexHooks() {
+  Hooks.on('createItem', invalidateNote);
+  Hooks.on('updateItem', invalidateNote);
+  Hooks.on('deleteItem', invalidateNote);
+  Hooks.on('deleteActor', actor => indexes.delete(actor.uuid));
+}
+
+/**
+ * Discard the cached text of a changed note
+ * @param {Item} item - The created, updated, or deleted item
+ */
+function invalidateNote(item) {
+  if (item.type !== 'dnd5e-sheet-notes.note' || !item.parent) return;
+  indexes.get(item.parent.uuid)?.invalidate(item.id);
+}
+
+/**
+ * Get the search index for an actor's notes
+ * @param {Actor} actor - The actor
+ * @returns {NoteSearchIndex}
+ */
+export function getSearchIndex(actor) {
+  let index = indexes.get(actor.uuid);
+  if (!index) {
+    index = new NoteSearchIndex();
+    indexes.set(actor.uuid, index);
+  }
+  return index;
+}
+
+/**
+ * Lower-case text and strip accents, keeping track of where each folded character came from
+ * @param {string} text - The text to fold
+ * @returns {{folded: string, offsets: Array<number>}} The folded text, and for each of its characters the index of
+ *   the original character it came from, plus a final entry for the end of the text
+ */
+export function foldText(text) {
+  let folded = '';
+  const offsets = [];
+  for (let i = 0; i < text.length; i++) {
+    const chars = text[i].normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    folded += chars;
+    for (let c = 0; c < chars.length; c++) offsets.push(i);
+  }
+  offsets.push(text.length);
+  return { folded, offsets };
+}
+
+/**
+ * Lower-case text and strip accents
+ * @param {string} text - The text to fold
+ * @returns {string} The folded text
+ */
+export function fold(text) {
+  return text.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+}
+
+/**
+ * The edit distance between two strings, giving up once it exceeds a limit
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @param {number} limit - The largest distance of interest
+ * @returns {number} The distance, or limit + 1 if it is larger than the limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * A piece of indexed note text
+ */
+class IndexedField {
+  /**
+   * @param {string} text - The original text
+   */
+  constructor(text) {
+    this.text = text;
+    const { folded, offsets } = foldText(text);
+    this.folded = folded;
+    this.offsets = offsets;
+
+    /**
+     * The position of the first occurrence of each distinct word in the folded text
+     * @type {Map<string, number>}
+     */
+    this.words = new Map();
+    for (const match of folded.matchAll(WORD)) {
+      if (!this.words.has(match[0])) this.words.set(match[0], match.index);
+    }
+  }
+
+  /**
+   * Find a folded term in this field, exactly or, failing that, fuzzily against whole words
+   * @param {string} term - The folded term
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=true] - Whether to fall back to fuzzy matching
+   * @returns {{fuzzy: boolean, wordStart: boolean, ranges: Array<Array<number>>}|null} How the term matched and
+   *   the [start, end) ranges it matched in the original text, or null if it did not match
+   */
+  match(term, { fuzzy = true } = {}) {
+    const ranges = [];
+    let wordStart = false;
+    for (let i = this.folded.indexOf(term); i !== -1; i = this.folded.indexOf(term, i + term.length)) {
+      ranges.push(this.#originalRange(i, i + term.length));
+      wordStart ||= (i === 0) || !/[\p{L}\p{N}]/u.test(this.folded[i - 1]);
+    }
+    if (ranges.length) return { fuzzy: false, wordStart, ranges };
+
+    if (!fuzzy || term.length < FUZZY_MIN_LENGTH) return null;
+    const limit = term.length >= 8 ? 2 : 1;
+    for (const [word, start] of this.words) {
+      if (editDistance(word, term, limit) <= limit) {
+        ranges.push(this.#originalRange(start, start + word.length));
+      }
+    }
+    return ranges.length ? { fuzzy: true, wordStart: true, ranges } : null;
+  }
+
+  /**
+   * Convert a range in the folded text to a range in the original text
+   * @param {number} start - The start of the folded range
+   * @param {number} end - The end of the folded range
+   * @returns {Array<number>} The original [start, end) range
+   */
+  #originalRange(start, end) {
+    return [this.offsets[start], this.offsets[end - 1] + 1];
+  }
+}
+
+/**
+ * Searchable text for one actor's notes, built lazily and discarded when a note changes
+ */
+export class NoteSearchIndex {
+  /**
+   * Indexed title and body of each note, by note ID
+   * @type {Map<string, {name: IndexedField, body: IndexedField}>}
+   */
+  #entries = new Map();
+
+  /**
+   * Get the indexed text of a note, indexing it if needed
+   * @param {Item} note - The note
+   * @returns {{name: IndexedField, body: IndexedField}}
+   */
+  get(note) {
+    let entry = this.#entries.get(note.id);
+    if (!entry) {
+      // Keep words in neighbouring blocks apart once the markup is gone
+      const template = document.createElement('template');
+      template.innerHTML = (note.system.description?.value || '').replace(BLOCK_END, '$& ');
+      entry = {
+        name: new IndexedField(note.name),
+        body: new IndexedField(template.content.textContent.replace(/\s+/g, ' ').trim())
+      };
+      this.#entries.set(note.id, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Whether a note has no text besides its title
+   * @param {Item} note - The note
+   * @returns {boolean}
+   */
+  isEmpty(note) {
+    return !this.get(note).body.text;
+  }
+
+  /**
+   * Discard the indexed text of a note
+   * @param {string} noteId - The note's ID
+   */
+  invalidate(noteId) {
+    this.#entries.delete(noteId);
+  }
+
+  /**
+   * Find the notes matching every search term and phrase, and none of the excluded words
+   * Terms may match the title or body, exactly or fuzzily, ignoring case and accents. Phrases and excluded words
+   * must match exactly, apart from case and accents. Title matches score higher than body matches, and exact
+   * matches higher than fuzzy ones.
+   * @param {Array<Item>} notes - The notes to search
+   * @param {Object} query - The text parts of a parsed query
+   * @param {Array<string>} [query.terms] - Words that must each appear
+   * @param {Array<string>} [query.phrases] - Phrases that must each appear exactly
+   * @param {Array<string>} [query.excluded] - Words or phrases that must not appear
+   * @returns {Map<string, {score: number, snippet: Array<{text: string, match: boolean}>|null}>} The matching notes
+   *   by ID, with a highlighted body snippet for notes whose body matched
+   */
+  search(notes, { terms = [], phrases = [], excluded = [] }) {
+    const required = [
+      ...terms.map(term => ({ text: fold(term), fuzzy: true })),
+      ...phrases.map(phrase => ({ text: fold(phrase), fuzzy: false }))
+    ].filter(({ text }) => text);
+    const forbidden = excluded.map(fold).filter(Boolean);
+    const results = new Map();
+
+    for (const note of notes) {
+      const entry = this.get(note);
+      if (forbidden.some(text => entry.name.folded.includes(text) || entry.body.folded.includes(text))) continue;
+
+      let score = 0;
+      const bodyRanges = [];
+
+      const matchedAll = required.every(({ text, fuzzy }) => {
+        const title = entry.name.match(text, { fuzzy });
+        const body = entry.body.match(text, { fuzzy });
+        if (!title && !body) return false;
+
+        if (title) {
+          score += title.fuzzy ? SCORES.TITLE_FUZZY : SCORES.TITLE + (title.wordStart ? SCORES.TITLE_WORD_START : 0);
+        }
+        if (body) {
+          score += body.fuzzy ? SCORES.BODY_FUZZY : SCORES.BODY;
+          bodyRanges.push(...body.ranges);
+        }
+        return true;
+      });
+
+      if (matchedAll) {
+        results.set(note.id, {
+          score,
+          snippet: bodyRanges.length ? buildSnippet(entry.body.text, bodyRanges) : null
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Cut a short excerpt around the first match in some text, split into highlighted and plain segments
+ * @param {string} text - The text
+ * @param {Array<Array<number>>} ranges - The [start, end) ranges of every match
+ * @returns {Array<{text: string, match: boolean}>} The excerpt's segments
+ */
+export function buildSnippet(text, ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const start = Math.max(0, sorted[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, sorted[0][1] + (SNIPPET_RADIUS * 2));
+
+  const segments = [];
+  let position = start;
+  for (const [matchStart, matchEnd] of sorted) {
+    if (matchStart < position || matchStart >= end) continue;
+    if (matchStart > position) segments.push({ text: text.slice(position, matchStart), match: false });
+    segments.push({ text: text.slice(matchStart, Math.min(matchEnd, end)), match: true });
+    position = Math.min(matchEnd, end);
+  }
+  if (position < end) segments.push({ text: text.slice(position, end), match: false });
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
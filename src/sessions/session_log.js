@@ -0,0 +1,122 @@
+/**
+ * Session Log
+ * Creates dated session entries in an actor's session category
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { Category, CATEGORY_ORDERING } from '../entities/category.js';
+import { NoteTemplate } from '../entities/note_template.js';
+import { formatDate } from './timestamps.js';
+
+/**
+ * Actor flag holding the key of the category session entries are created in
+ */
+export const SESSION_CATEGORY_FLAG = 'sessionCategory';
+
+/**
+ * Actor flag holding how many session entries have been created, so numbers aren't reused
+ */
+export const SESSION_COUNT_FLAG = 'sessionCount';
+
+/**
+ * Localization key for the name of the session category created when an actor has none and the world has no
+ * Session Log template
+ */
+const DEFAULT_SESSION_CATEGORY = 'dnd5e-sheet-notes.sessions.category';
+
+/**
+ * ID of the built-in note template whose content new session entries start with
+ */
+const SESSION_TEMPLATE_ID = 'session-log';
+
+/**
+ * Get the key of an actor's session category, creating a chronological one if it has none
+ * The category is the one the Session Log template files notes under, so both put session notes in the same place.
+ * @param {Actor} actor - The actor
+ * @returns {Promise<string>} - The category key
+ */
+export async function getSessionCategory(actor) {
+  const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+  const key = actor.getFlag(MODULE_ID, SESSION_CATEGORY_FLAG);
+  if (key && categories.some(c => c.key === key)) return key;
+
+  const defaultName = game.i18n.localize(DEFAULT_SESSION_CATEGORY);
+  const path = (NoteTemplate.get(SESSION_TEMPLATE_ID)?.category || defaultName).split('/');
+  const name = path.pop().trim().slice(0, 50) || defaultName;
+
+  const existing = categories.find(c => c.name.toLowerCase() === name.toLowerCase());
+  const category = existing
+    ? new Category(existing, actor)
+    : await Category.create(actor, {
+      name,
+      parent: await Category.ensurePath(actor, path),
+      ordering: CATEGORY_ORDERING.CHRONOLOGICAL
+    });
+
+  await actor.setFlag(MODULE_ID, SESSION_CATEGORY_FLAG, category.key);
+  return category.key;
+}
+
+/**
+ * Whether a category is the one an actor's session entries are created in
+ * @param {Actor} actor - The actor
+ * @param {string} key - The category key
+ * @returns {boolean}
+ */
+export function isSessionCategory(actor, key) {
+  return !!key && actor.getFlag(MODULE_ID, SESSION_CATEGORY_FLAG) === key;
+}
+
+/**
+ * Make a category the one an actor's session entries are created in, or stop it being so
+ * @param {Actor} actor - The actor
+ * @param {string} key - The category key
+ * @param {boolean} session - Whether the category should be the session category
+ * @returns {Promise<void>}
+ */
+export async function setSessionCategory(actor, key, session) {
+  if (session) {
+    await actor.setFlag(MODULE_ID, SESSION_CATEGORY_FLAG, key);
+  } else if (isSessionCategory(actor, key)) {
+    await actor.unsetFlag(MODULE_ID, SESSION_CATEGORY_FLAG);
+  }
+}
+
+/**
+ * Create a session entry named for the session number and the current date
+ * Entries start with the content of the Session Log note template when the world still has it.
+ * Numbers follow on from the most entries the actor has had, so deleting or moving one doesn't repeat a number.
+ * @param {Actor} actor - The actor to create the entry on
+ * @returns {Promise<Item>} - The created note
+ */
+export async function createSessionEntry(actor) {
+  const category = await getSessionCategory(actor);
+  const sessions = actor.items.filter(item =>
+    item.type === 'dnd5e-sheet-notes.note' && item.system.category === category
+  );
+  const number = Math.max(actor.getFlag(MODULE_ID, SESSION_COUNT_FLAG) ?? 0, sessions.length) + 1;
+
+  const now = Date.now();
+  const worldTime = game.time.worldTime;
+  const template = NoteTemplate.get(SESSION_TEMPLATE_ID);
+
+  const [note] = await actor.createEmbeddedDocuments('Item', [{
+    name: game.i18n.format('dnd5e-sheet-notes.sessions.name', {
+      number,
+      date: formatDate(now, worldTime)
+    }),
+    type: 'dnd5e-sheet-notes.note',
+    img: template?.img ?? 'icons/svg/book.svg',
+    system: {
+      ...(template?.getSystemData(category) ?? { category }),
+      timestamps: {
+        created: now,
+        modified: now,
+        worldTime
+      }
+    }
+  }]);
+
+  await actor.setFlag(MODULE_ID, SESSION_COUNT_FLAG, number);
+  return note;
+}
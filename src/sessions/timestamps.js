@@ -0,0 +1,142 @@
+/**
+ * Note Timestamps
+ * Records when notes are created and modified, in real and in-game time, and formats those times for display
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+
+/**
+ * The world setting choosing how note dates are written
+ */
+export const DATE_FORMAT_SETTING = 'dateFormat';
+
+/**
+ * Ways note dates can be written
+ */
+export const DATE_FORMATS = {
+  REAL: 'real',
+  WORLD: 'world',
+  BOTH: 'both'
+};
+
+/**
+ * Seconds in an in-game day when no calendar is available
+ */
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Note data whose change counts as modifying the note
+ */
+const CONTENT_CHANGES = [
+  'name', 'system.description', 'system.tags', 'system.tracker', 'system.checklist', 'system.variant', 'system.quest',
+  'system.relationship'
+];
+
+/**
+ * Register hooks that stamp notes with their creation and modification times
+ */
+export function registerTimestampHooks() {
+  Hooks.on('preCreateItem', stampCreated);
+  Hooks.on('preUpdateItem', stampModified);
+}
+
+/**
+ * Record when a note is created, keeping any times it already carries from an import
+ * @param {Item} item - The item being created
+ */
+function stampCreated(item) {
+  if (item.type !== 'dnd5e-sheet-notes.note') return;
+
+  const now = Date.now();
+  const timestamps = item.system.timestamps;
+  item.updateSource({
+    'system.timestamps': {
+      created: timestamps.created ?? now,
+      modified: timestamps.modified ?? now,
+      worldTime: timestamps.worldTime ?? game.time.worldTime
+    }
+  });
+}
+
+/**
+ * Record when a note's content is changed
+ * @param {Item} item - The item being updated
+ * @param {Object} changes - The differential update data
+ */
+function stampModified(item, changes) {
+  if (item.type !== 'dnd5e-sheet-notes.note') return;
+  if (!CONTENT_CHANGES.some(path => foundry.utils.hasProperty(changes, path))) return;
+  foundry.utils.setProperty(changes, 'system.timestamps.modified', Date.now());
+}
+
+/**
+ * The configured way of writing note dates
+ * @returns {string} - A DATE_FORMATS value
+ */
+export function getDateFormat() {
+  return game.settings.get(MODULE_ID, DATE_FORMAT_SETTING) ?? DATE_FORMATS.BOTH;
+}
+
+/**
+ * Write a real-world time as a date
+ * @param {number} time - Milliseconds since the epoch
+ * @param {Object} [options]
+ * @param {boolean} [options.time=false] - Whether to include the time of day
+ * @returns {string}
+ */
+export function formatRealTime(time, { time: withTime = false } = {}) {
+  const style = withTime ? { dateStyle: 'medium', timeStyle: 'short' } : { dateStyle: 'medium' };
+  return new Date(time).toLocaleString(game.i18n.lang, style);
+}
+
+/**
+ * Write an in-game time using the world's calendar
+ * Foundry 12 has no calendar of its own, so without one the time is counted in days from the start of the world.
+ * @param {number} worldTime - Seconds of in-game time
+ * @returns {string}
+ */
+export function formatWorldTime(worldTime) {
+  const calendar = game.time.calendar;
+  if (typeof calendar?.format === 'function') return calendar.format(worldTime);
+
+  const seconds = ((worldTime % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+  return game.i18n.format('dnd5e-sheet-notes.sessions.world-time', {
+    day: Math.floor(worldTime / SECONDS_PER_DAY) + 1,
+    time: [Math.floor(seconds / 3600), Math.floor((seconds % 3600) / 60)]
+      .map(part => String(part).padStart(2, '0'))
+      .join(':')
+  });
+}
+
+/**
+ * Write when something happened in the configured date format
+ * @param {number|null} realTime - Milliseconds since the epoch
+ * @param {number|null} worldTime - Seconds of in-game time
+ * @returns {string}
+ */
+export function formatDate(realTime, worldTime) {
+  const format = getDateFormat();
+  const parts = [];
+  if ((format !== DATE_FORMATS.WORLD || worldTime === null) && realTime !== null) {
+    parts.push(formatRealTime(realTime));
+  }
+  if (format !== DATE_FORMATS.REAL && worldTime !== null) {
+    parts.push(formatWorldTime(worldTime));
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Order notes from oldest to newest, by in-game time, or real time for a note without one, then by real time
+ * Every note is keyed the same way so the order stays consistent however the notes are compared.
+ * @param {Item} a - The first note
+ * @param {Item} b - The second note
+ * @returns {number}
+ */
+export function compareChronologically(a, b) {
+  const realA = a.system.createdTime ?? 0;
+  const realB = b.system.createdTime ?? 0;
+  const keyA = a.system.timestamps.worldTime ?? realA;
+  const keyB = b.system.timestamps.worldTime ?? realB;
+  return (keyA - keyB) || (realA - realB);
+}
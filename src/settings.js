@@ -0,0 +1,91 @@
+/**
+ * Module Settings
+ * Registers world settings and their configuration menus
+ */
+
+import { id as MODULE_ID } from '../module.json';
+import { DEFAULT_NOTE_TEMPLATES, NOTE_TEMPLATES_SETTING } from './entities/note_template';
+import { NoteTemplateManager } from './ui/note_template_manager';
+import { DATE_FORMAT_SETTING, DATE_FORMATS } from './sessions/timestamps';
+import { PINNED_TAB_SETTING, PINNED_TABS } from './ui/pinned_notes';
+import { HISTORY_SIZE_SETTING } from './history/note_history';
+import { TRASH_RETENTION_SETTING } from './trash/trash';
+
+/**
+ * Register the module's settings
+ */
+export function registerSettings() {
+  game.settings.register(MODULE_ID, NOTE_TEMPLATES_SETTING, {
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: DEFAULT_NOTE_TEMPLATES,
+    onChange: () => foundry.applications.instances.get(NoteTemplateManager.DEFAULT_OPTIONS.id)?.render()
+  });
+
+  game.settings.register(MODULE_ID, DATE_FORMAT_SETTING, {
+    name: 'dnd5e-sheet-notes.sessions.settings.name',
+    hint: 'dnd5e-sheet-notes.sessions.settings.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: {
+      [DATE_FORMATS.REAL]: 'dnd5e-sheet-notes.sessions.settings.real',
+      [DATE_FORMATS.WORLD]: 'dnd5e-sheet-notes.sessions.settings.world',
+      [DATE_FORMATS.BOTH]: 'dnd5e-sheet-notes.sessions.settings.both'
+    },
+    default: DATE_FORMATS.BOTH
+  });
+
+  game.settings.register(MODULE_ID, HISTORY_SIZE_SETTING, {
+    name: 'dnd5e-sheet-notes.history.settings.name',
+    hint: 'dnd5e-sheet-notes.history.settings.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: {
+      min: 0,
+      max: 50,
+      step: 1
+    },
+    default: 10
+  });
+
+  game.settings.register(MODULE_ID, TRASH_RETENTION_SETTING, {
+    name: 'dnd5e-sheet-notes.trash.settings.name',
+    hint: 'dnd5e-sheet-notes.trash.settings.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: {
+      min: 1,
+      max: 365,
+      step: 1
+    },
+    default: 30
+  });
+
+  game.settings.register(MODULE_ID, PINNED_TAB_SETTING, {
+    name: 'dnd5e-sheet-notes.pinned.settings.name',
+    hint: 'dnd5e-sheet-notes.pinned.settings.hint',
+    scope: 'client',
+    config: true,
+    type: String,
+    choices: Object.fromEntries(Object.values(PINNED_TABS).map(tab => [
+      tab, `dnd5e-sheet-notes.pinned.settings.${tab}`
+    ])),
+    default: PINNED_TABS.DETAILS,
+    onChange: () => Object.values(ui.windows).forEach(app => {
+      if (app.document instanceof Actor) app.render();
+    })
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'noteTemplatesMenu', {
+    name: 'dnd5e-sheet-notes.templates.settings.name',
+    label: 'dnd5e-sheet-notes.templates.settings.label',
+    hint: 'dnd5e-sheet-notes.templates.settings.hint',
+    icon: 'fas fa-file-lines',
+    type: NoteTemplateManager,
+    restricted: true
+  });
+}
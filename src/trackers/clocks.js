@@ -0,0 +1,56 @@
+/**
+ * Clock Tracker Hooks
+ * Detects clock completion and announces it
+ */
+
+/**
+ * Register hooks that watch for clock trackers being completed
+ */
+export function registerClockHooks() {
+  Hooks.on('updateItem', onUpdateItem);
+}
+
+/**
+ * Fire the completion hook when an update fills the last segment of a clock
+ * @param {Item} item - The updated item
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ * @param {string} userId - The ID of the user who made the update
+ */
+function onUpdateItem(item, changes, options, userId) {
+  if (item.type !== 'dnd5e-sheet-notes.note') return;
+  if (!foundry.utils.hasProperty(changes, 'system.tracker.value')) return;
+  if (!item.system.isClockComplete) return;
+
+  /**
+   * A hook event that fires on every client when a note's clock has all of its segments filled.
+   * @function dnd5e-sheet-notes.clockCompleted
+   * @memberof hookEvents
+   * @param {Item} item      The note whose clock was completed.
+   * @param {string} userId  The ID of the user who completed the clock.
+   */
+  Hooks.callAll('dnd5e-sheet-notes.clockCompleted', item, userId);
+
+  if (userId === game.user.id && item.system.tracker.announce) {
+    postClockCompletedCard(item);
+  }
+}
+
+/**
+ * Post a chat card announcing that a clock was completed
+ * @param {Item} item - The note whose clock was completed
+ * @returns {Promise<ChatMessage>}
+ */
+async function postClockCompletedCard(item) {
+  // The message is HTML, so the note's name is escaped before it goes in
+  const message = game.i18n.format('dnd5e-sheet-notes.tracker.clock.completed', {
+    name: Handlebars.escapeExpression(item.name),
+    segments: item.system.tracker.segments
+  });
+
+  return ChatMessage.create({
+    user: game.user.id,
+    content: await renderTemplate('modules/dnd5e-sheet-notes/templates/clock_card.hbs', { item, message }),
+    speaker: ChatMessage.getSpeaker({ actor: item.parent })
+  });
+}
@@ -0,0 +1,78 @@
+/**
+ * Tracker Recovery
+ * Resets or refills note trackers when the dnd5e rest workflow completes
+ */
+
+import { RECOVERY_PERIODS } from '../models/note_model.js';
+
+/**
+ * Register the rest completion hook
+ */
+export function registerRecoveryHooks() {
+  Hooks.on('dnd5e.restCompleted', onRestCompleted);
+}
+
+/**
+ * Recover every note tracker on the actor whose period has elapsed
+ * @param {Actor5e} actor - The actor that rested
+ * @param {Object} result - Details on the rest completed
+ * @returns {Promise<void>}
+ */
+async function onRestCompleted(actor, result) {
+  const periods = getElapsedPeriods(result);
+  const notes = actor.items.filter(item => item.type === 'dnd5e-sheet-notes.note' && item.system.hasTracker);
+  if (!notes.length) return;
+
+  const recoveries = [];
+  for (const note of notes) {
+    try {
+      const recovery = await note.system.getRecoveryUpdate(periods);
+      if (recovery) recoveries.push(recovery);
+    } catch (error) {
+      console.error(`5e Sheet Notes & Trackers | Failed to recover tracker "${note.name}"`, error);
+      ui.notifications.warn(game.i18n.format('dnd5e-sheet-notes.tracker.recovery.failed', { name: note.name }));
+    }
+  }
+
+  if (!recoveries.length) return;
+
+  await actor.updateEmbeddedDocuments('Item', recoveries.map(r => r.update));
+  await addRecoverySummary(actor, result, recoveries.map(r => r.summary));
+}
+
+/**
+ * Determine which recovery periods a rest satisfies
+ * @param {Object} result - Details on the rest completed
+ * @returns {string[]} Elapsed periods from RECOVERY_PERIODS
+ */
+function getElapsedPeriods(result) {
+  const periods = [RECOVERY_PERIODS.SHORT_REST];
+  if (result.longRest) periods.push(RECOVERY_PERIODS.LONG_REST);
+  if (result.newDay) periods.push(RECOVERY_PERIODS.DAWN);
+  return periods;
+}
+
+/**
+ * Append the list of recovered trackers to the rest chat message, or post one if the rest had none
+ * @param {Actor5e} actor - The actor that rested
+ * @param {Object} result - Details on the rest completed
+ * @param {string[]} summaries - One HTML line per recovered tracker, with note names already escaped
+ * @returns {Promise<ChatMessage>}
+ */
+async function addRecoverySummary(actor, result, summaries) {
+  const list = `<div class="dnd5e-sheet-notes rest-recovery">
+    <strong>${game.i18n.localize('dnd5e-sheet-notes.tracker.recovery.summary')}</strong>
+    <ul>${summaries.map(s => `<li>${s}</li>`).join('')}</ul>
+  </div>`;
+
+  const message = result.message;
+  if (message?.isOwner) {
+    return message.update({ content: `${message.content}${list}` });
+  }
+
+  return ChatMessage.create({
+    user: game.user.id,
+    content: list,
+    speaker: ChatMessage.getSpeaker({ actor })
+  });
+}
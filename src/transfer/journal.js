@@ -0,0 +1,363 @@
+/**
+ * Journal Links
+ * Publishes notes to journal entry pages, creates notes from journal pages, and keeps linked pairs in step
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+
+/**
+ * Update option set on changes made by syncing, so they are not mirrored back to where they came from
+ */
+const SYNC_OPTION = `${MODULE_ID}.sync`;
+
+/**
+ * Register hooks that keep linked notes and journal pages in step
+ */
+export function registerJournalHooks() {
+  Hooks.on('updateItem', onUpdateNote);
+  Hooks.on('updateJournalEntryPage', onUpdatePage);
+  Hooks.on('deleteItem', onDeleteNote);
+  Hooks.on('deleteJournalEntryPage', onDeletePage);
+  Hooks.on('deleteJournalEntry', onDeleteEntry);
+  Hooks.on('renderJournalSheet', addJournalBadges);
+}
+
+/**
+ * Get the journal page a note is linked to
+ * @param {Item} note - The note
+ * @returns {Promise<JournalEntryPage|null>} The page, or null if the note is unlinked or the page no longer exists
+ */
+export async function getLinkedPage(note) {
+  if (!note.system.isLinked) return null;
+  const page = await fromUuid(note.system.journal.uuid);
+  return page?.documentName === 'JournalEntryPage' ? page : null;
+}
+
+/**
+ * Get the note a journal page is linked to
+ * Only returns the note if it links back to the page, so a stale reference on either side is ignored.
+ * @param {JournalEntryPage} page - The journal page
+ * @returns {Promise<Item|null>} The note, or null if the page is unlinked
+ */
+export async function getLinkedNote(page) {
+  const noteUuid = page.getFlag(MODULE_ID, 'note');
+  if (!noteUuid) return null;
+  const note = await fromUuid(noteUuid);
+  return note?.system?.journal?.uuid === page.uuid ? note : null;
+}
+
+/**
+ * Publish a note to a journal page, updating its linked page or creating a new one
+ * @param {Item} note - The note to publish
+ * @returns {Promise<JournalEntryPage|null>} The page, or null if publishing was cancelled
+ * @throws {Error} - If the user cannot update the linked page or has no journal to publish to
+ */
+export async function publishToJournal(note) {
+  const linked = await getLinkedPage(note);
+  if (linked) {
+    if (!linked.isOwner) throw new Error(game.i18n.localize('dnd5e-sheet-notes.journal.errors.permission'));
+    await linked.update(getPageUpdate(note), { [SYNC_OPTION]: true });
+    ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.journal.published', { name: linked.parent.name }));
+    return linked;
+  }
+
+  const choice = await promptPublishTarget(note);
+  if (!choice) return null;
+
+  const entry = choice.entry
+    ? game.journal.get(choice.entry)
+    : await JournalEntry.implementation.create({ name: note.name });
+
+  const [page] = await entry.createEmbeddedDocuments('JournalEntryPage', [{
+    name: note.name,
+    type: 'text',
+    text: {
+      content: note.system.description.value,
+      format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML
+    },
+    flags: {
+      [MODULE_ID]: {
+        note: note.uuid
+      }
+    }
+  }]);
+
+  await note.update({
+    'system.journal': {
+      uuid: page.uuid,
+      sync: choice.sync
+    }
+  });
+
+  ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.journal.published', { name: entry.name }));
+  return page;
+}
+
+/**
+ * Ask which journal entry a note should be published to
+ * @param {Item} note - The note being published
+ * @returns {Promise<{entry: string, sync: boolean}|null>} The chosen entry ID, blank for a new entry, and whether
+ *   to keep the two in sync; or null if cancelled
+ * @throws {Error} - If there is no journal entry the user may publish to
+ */
+async function promptPublishTarget(note) {
+  const canCreate = game.user.can('JOURNAL_CREATE');
+  const entries = game.journal
+    .filter(entry => entry.isOwner)
+    .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang))
+    .map(entry => ({ value: entry.id, label: entry.name }));
+
+  if (!canCreate && !entries.length) {
+    throw new Error(game.i18n.localize('dnd5e-sheet-notes.journal.errors.no-journal'));
+  }
+
+  return foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.format('dnd5e-sheet-notes.journal.publish-title', { name: note.name }),
+      icon: 'fas fa-book-open'
+    },
+    position: {
+      width: 400
+    },
+    content: await renderTemplate('modules/dnd5e-sheet-notes/templates/publish_dialog.hbs', {
+      canCreate,
+      entries
+    }),
+    ok: {
+      label: game.i18n.localize('dnd5e-sheet-notes.journal.publish'),
+      icon: 'fas fa-book-open',
+      callback: (event, button) => ({
+        entry: button.form.elements.entry.value,
+        sync: button.form.elements.sync.checked
+      })
+    },
+    rejectClose: false
+  });
+}
+
+/**
+ * Create a note from a text journal page and link the two
+ * If the page is already linked to another note, the new note is created as an unlinked copy.
+ * @param {Actor} actor - The actor to create the note on
+ * @param {JournalEntryPage} page - The journal page
+ * @param {string} [category] - The category key for the note
+ * @returns {Promise<Item>} The created note
+ * @throws {Error} - If the page is not a text page
+ */
+export async function importFromJournal(actor, page, category = '') {
+  if (page.type !== 'text') {
+    throw new Error(game.i18n.localize('dnd5e-sheet-notes.journal.errors.not-text'));
+  }
+
+  const alreadyLinked = !!(await getLinkedNote(page));
+  const [note] = await actor.createEmbeddedDocuments('Item', [{
+    name: page.name,
+    type: 'dnd5e-sheet-notes.note',
+    img: 'icons/svg/book.svg',
+    system: {
+      description: {
+        value: page.text.content ?? ''
+      },
+      category,
+      journal: {
+        uuid: alreadyLinked ? '' : page.uuid
+      }
+    }
+  }]);
+
+  if (alreadyLinked) {
+    ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.journal.copied', { name: page.name }));
+  } else if (page.isOwner) {
+    await page.setFlag(MODULE_ID, 'note', note.uuid);
+  }
+
+  return note;
+}
+
+/**
+ * Remove the link between a note and its journal page
+ * @param {Item} note - The linked note
+ * @returns {Promise<void>}
+ */
+export async function unlinkJournal(note) {
+  const page = await getLinkedPage(note);
+  if (page?.isOwner && page.getFlag(MODULE_ID, 'note') === note.uuid) {
+    await page.unsetFlag(MODULE_ID, 'note');
+  }
+  await note.update({
+    'system.journal': {
+      uuid: '',
+      sync: false
+    }
+  });
+}
+
+/**
+ * Link a note restored from the trash back to its journal page
+ * The page's back-reference was cleared when the note was deleted. If the page is gone, has since been linked to
+ * another note, or cannot be updated by the user, the note is unlinked instead so it does not point at a page that
+ * no longer points back.
+ * @param {Item} note - The restored note
+ * @returns {Promise<void>}
+ */
+export async function relinkJournal(note) {
+  if (!note.system.isLinked) return;
+
+  const page = await getLinkedPage(note);
+  if (page?.isOwner && !(await getLinkedNote(page))) {
+    await page.setFlag(MODULE_ID, 'note', note.uuid);
+    return;
+  }
+
+  await note.update({
+    'system.journal': {
+      uuid: '',
+      sync: false
+    }
+  });
+}
+
+/**
+ * Page data mirroring a note
+ * @param {Item} note - The note
+ * @returns {Object} The page update
+ */
+function getPageUpdate(note) {
+  return {
+    name: note.name,
+    'text.content': note.system.description.value
+  };
+}
+
+/**
+ * Mirror edits to a synced note onto its journal page
+ * Turning sync on also pushes the note's current content to the page.
+ * @param {Item} item - The updated item
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ * @param {string} userId - The ID of the user who made the update
+ */
+async function onUpdateNote(item, changes, options, userId) {
+  if (userId !== game.user.id || options[SYNC_OPTION]) return;
+  if (item.type !== 'dnd5e-sheet-notes.note' || !item.system.journal.sync) return;
+
+  const relevant = ('name' in changes)
+    || foundry.utils.hasProperty(changes, 'system.description.value')
+    || foundry.utils.getProperty(changes, 'system.journal.sync') === true;
+  if (!relevant) return;
+
+  const page = await getLinkedPage(item);
+  if (!page) return;
+  if (!page.isOwner) {
+    ui.notifications.warn(game.i18n.format('dnd5e-sheet-notes.journal.errors.sync-denied', { name: page.name }));
+    return;
+  }
+
+  await page.update(getPageUpdate(item), { [SYNC_OPTION]: true });
+}
+
+/**
+ * Mirror edits to a journal page onto its synced note
+ * @param {JournalEntryPage} page - The updated page
+ * @param {Object} changes - The differential update data
+ * @param {Object} options - Update options
+ * @param {string} userId - The ID of the user who made the update
+ */
+async function onUpdatePage(page, changes, options, userId) {
+  if (userId !== game.user.id || options[SYNC_OPTION]) return;
+  if (!('name' in changes) && !foundry.utils.hasProperty(changes, 'text.content')) return;
+
+  const note = await getLinkedNote(page);
+  if (!note?.system.journal.sync) return;
+  if (!note.isOwner) {
+    ui.notifications.warn(game.i18n.format('dnd5e-sheet-notes.journal.errors.sync-denied', { name: note.name }));
+    return;
+  }
+
+  await note.update({
+    name: page.name,
+    'system.description.value': page.text.content ?? ''
+  }, { [SYNC_OPTION]: true });
+}
+
+/**
+ * Clear the back-reference on a journal page when its note is deleted
+ * @param {Item} item - The deleted item
+ * @param {Object} options - Deletion options
+ * @param {string} userId - The ID of the user who deleted the item
+ */
+async function onDeleteNote(item, options, userId) {
+  if (userId !== game.user.id || item.type !== 'dnd5e-sheet-notes.note') return;
+
+  const page = await getLinkedPage(item);
+  if (page?.isOwner && page.getFlag(MODULE_ID, 'note') === item.uuid) {
+    await page.unsetFlag(MODULE_ID, 'note');
+  }
+}
+
+/**
+ * Clear the link on a note when its journal page is deleted
+ * @param {JournalEntryPage} page - The deleted page
+ * @param {Object} options - Deletion options
+ * @param {string} userId - The ID of the user who deleted the page
+ */
+async function onDeletePage(page, options, userId) {
+  if (userId !== game.user.id) return;
+
+  const note = await getLinkedNote(page);
+  if (note?.isOwner) {
+    await note.update({
+      'system.journal': {
+        uuid: '',
+        sync: false
+      }
+    });
+  }
+}
+
+/**
+ * Clear the links on notes when a whole journal entry is deleted, since its pages fire no hooks of their own
+ * @param {JournalEntry} entry - The deleted entry
+ * @param {Object} options - Deletion options
+ * @param {string} userId - The ID of the user who deleted the entry
+ */
+async function onDeleteEntry(entry, options, userId) {
+  for (const page of entry.pages) {
+    await onDeletePage(page, options, userId);
+  }
+}
+
+/**
+ * Mark linked pages in a journal sheet's table of contents, linking to their notes
+ * @param {JournalSheet} app - The journal sheet
+ * @param {jQuery|HTMLElement} html - The rendered HTML
+ */
+function addJournalBadges(app, html) {
+  const element = html[0] || html;
+
+  for (const page of app.document.pages) {
+    const noteUuid = page.getFlag(MODULE_ID, 'note');
+    if (!noteUuid) continue;
+
+    const note = fromUuidSync(noteUuid);
+    if (note?.system?.journal?.uuid !== page.uuid) continue;
+
+    const heading = element.querySelector(`.directory-item[data-page-id="${page.id}"] .page-heading`);
+    if (!heading || heading.querySelector('.note-link-badge')) continue;
+
+    const badge = document.createElement('a');
+    badge.className = 'note-link-badge';
+    // Tooltips are rendered as HTML
+    badge.dataset.tooltip = game.i18n.format('dnd5e-sheet-notes.journal.linked-to', {
+      name: Handlebars.escapeExpression(note.name),
+      actor: Handlebars.escapeExpression(note.parent?.name ?? '')
+    });
+    badge.innerHTML = `<i class="fas ${note.system.journal.sync ? 'fa-arrows-rotate' : 'fa-link'}"></i>`;
+    badge.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      note.sheet.render(true);
+    });
+    heading.appendChild(badge);
+  }
+}
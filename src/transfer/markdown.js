@@ -0,0 +1,402 @@
+/**
+ * Markdown Export and Import
+ * Converts notes to Markdown files with YAML front-matter and back, for round-tripping with tools like Obsidian
+ */
+
+import { dump, load } from 'js-yaml';
+import { id as MODULE_ID } from '../../module.json';
+import { Category } from '../entities/category.js';
+import { NoteModel } from '../models/note_model.js';
+import { createZip, readZip } from './zip.js';
+
+/**
+ * Elements the Markdown converter understands, after renaming
+ */
+const SUPPORTED_ELEMENTS = new Set([
+  'P', 'BR', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'STRONG', 'EM', 'DEL', 'CODE', 'PRE', 'A', 'IMG',
+  'UL', 'OL', 'LI', 'BLOCKQUOTE', 'HR', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD'
+]);
+
+/**
+ * Elements with a direct Markdown equivalent under another name
+ */
+const RENAMED_ELEMENTS = {
+  B: 'STRONG',
+  I: 'EM',
+  S: 'DEL',
+  STRIKE: 'DEL'
+};
+
+/**
+ * Elements whose content has no meaningful Markdown form and is dropped entirely
+ */
+const DROPPED_ELEMENTS = new Set([
+  'SCRIPT', 'STYLE', 'IFRAME', 'VIDEO', 'AUDIO', 'OBJECT', 'EMBED', 'CANVAS', 'SVG', 'FORM', 'INPUT', 'BUTTON',
+  'SELECT', 'TEXTAREA', 'TEMPLATE'
+]);
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+let converter = null;
+
+/**
+ * Get the shared showdown converter, configured the same way as Foundry's Markdown journal pages
+ * @returns {showdown.Converter}
+ */
+function getConverter() {
+  converter ??= new showdown.Converter({ ...CONST.SHOWDOWN_OPTIONS });
+  return converter;
+}
+
+/**
+ * Convert note HTML to Markdown
+ * Unsupported elements degrade predictably: media and form elements are removed, elements with a Markdown
+ * equivalent are renamed, and every other element is replaced by its contents.
+ * @param {string} html - The HTML to convert
+ * @returns {string} The Markdown
+ */
+export function htmlToMarkdown(html) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  simplifyElement(template.content);
+
+  const container = document.createElement('div');
+  container.appendChild(template.content);
+  return getConverter().makeMarkdown(container.innerHTML).trim();
+}
+
+/**
+ * Rewrite a DOM subtree so it only contains elements the converter supports
+ * @param {Node} node - The root of the subtree
+ */
+function simplifyElement(node) {
+  for (const child of [...node.children]) {
+    simplifyElement(child);
+
+    if (DROPPED_ELEMENTS.has(child.tagName)) {
+      child.remove();
+    } else if (RENAMED_ELEMENTS[child.tagName]) {
+      const replacement = document.createElement(RENAMED_ELEMENTS[child.tagName]);
+      replacement.append(...child.childNodes);
+      child.replaceWith(replacement);
+    } else if (!SUPPORTED_ELEMENTS.has(child.tagName)) {
+      child.replaceWith(...child.childNodes);
+    }
+  }
+}
+
+/**
+ * Convert Markdown to note HTML
+ * @param {string} markdown - The Markdown to convert
+ * @returns {string} The HTML
+ */
+export function markdownToHtml(markdown) {
+  return getConverter().makeHtml(markdown || '');
+}
+
+/**
+ * Serialize a note to a Markdown document with YAML front-matter
+ * @param {Item} note - The note to serialize
+ * @returns {string} The Markdown document
+ */
+export function noteToMarkdown(note) {
+  const categories = note.parent?.getFlag(MODULE_ID, 'categories') || [];
+  const categoryPath = note.system.category
+    ? Category.path(categories, note.system.category).map(c => c.name)
+    : [];
+
+  const frontMatter = {
+    name: note.name,
+    category: categoryPath.join('/') || undefined,
+    img: note.img
+  };
+
+  if (note.system.tags.length) {
+    frontMatter.tags = [...note.system.tags];
+  }
+  if (note.system.hasTracker) {
+    frontMatter.tracker = note.system.toObject().tracker;
+  }
+  if (note.system.checklist.length) {
+    frontMatter.checklist = note.system.checklist.map(({ text, done }) => ({ text, done }));
+  }
+  if (note.system.isQuest) {
+    const { status, giver, reward, objectives } = note.system.quest;
+    frontMatter.variant = note.system.variant;
+    frontMatter.quest = {
+      status,
+      giver: giver || undefined,
+      reward: reward || undefined,
+      objectives: objectives.map(({ text, done }) => ({ text, done }))
+    };
+  }
+  if (note.system.isRelationship) {
+    const { actor, attitude, interactions } = note.system.relationship;
+    frontMatter.variant = note.system.variant;
+    frontMatter.relationship = {
+      actor: actor || undefined,
+      attitude,
+      interactions: interactions.map(({ text, time, worldTime }) => ({ text, time, worldTime }))
+    };
+  }
+
+  const yaml = dump(frontMatter, { skipInvalid: true, lineWidth: -1 }).trim();
+  return `---\n${yaml}\n---\n\n${htmlToMarkdown(note.system.description.value)}\n`;
+}
+
+/**
+ * Split a Markdown document into its front-matter and body
+ * @param {string} text - The Markdown document
+ * @returns {{frontMatter: Object, body: string}}
+ * @throws {Error} - If the front-matter is not valid YAML
+ */
+export function parseMarkdownNote(text) {
+  const match = text.match(FRONT_MATTER);
+  if (!match) return { frontMatter: {}, body: text };
+
+  const frontMatter = load(match[1]);
+  return {
+    frontMatter: (frontMatter && typeof frontMatter === 'object') ? frontMatter : {},
+    body: text.slice(match[0].length)
+  };
+}
+
+/**
+ * Make a note or category name safe to use as a file or folder name
+ * @param {string} name - The name
+ * @returns {string} The file name
+ */
+function toFileName(name) {
+  return name.replace(/[\\/:*?"<>|]/g, '-').trim() || 'Untitled';
+}
+
+/**
+ * Read checklist or objective entries from front-matter, which may be plain strings or {text, done} objects
+ * @param {Array<string|Object>} entries - The front-matter entries
+ * @returns {Array<{id: string, text: string, done: boolean}>}
+ */
+function importEntries(entries) {
+  return entries.map(entry => ({
+    id: foundry.utils.randomID(),
+    text: String((typeof entry === 'object' ? entry?.text : entry) ?? ''),
+    done: !!entry?.done
+  }));
+}
+
+/**
+ * Download a single note as a Markdown file
+ * @param {Item} note - The note to export
+ */
+export function exportNoteMarkdown(note) {
+  saveDataToFile(noteToMarkdown(note), 'text/markdown', `${toFileName(note.name)}.md`);
+}
+
+/**
+ * Download a category, its sub-categories, and their notes as a zip of Markdown files in matching folders
+ * @param {Actor} actor - The actor that owns the category
+ * @param {string} key - The category key
+ * @returns {Promise<void>}
+ */
+export async function exportCategoryMarkdown(actor, key) {
+  const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+  const root = categories.find(c => c.key === key);
+  if (!root) throw new Error(`Category with key "${key}" not found`);
+
+  const keys = Category.descendantKeys(categories, key).add(key);
+  const notes = actor.items.filter(item => {
+    if (item.type !== 'dnd5e-sheet-notes.note' || !item.system.isVisibleTo(game.user)) return false;
+    const category = item.system.category || (root.name === 'Notes' ? key : '');
+    return keys.has(category);
+  });
+
+  const files = toMarkdownFiles(categories, notes, {
+    defaultKey: key,
+    rootDepth: Category.path(categories, key).length - 1
+  });
+  saveDataToFile(createZip(files), 'application/zip', `${toFileName(root.name)}.zip`);
+}
+
+/**
+ * Download a set of notes as a zip of Markdown files in folders matching their categories
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The notes to export
+ */
+export function exportNotesMarkdown(actor, notes) {
+  const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+  const files = toMarkdownFiles(categories, notes.filter(note => note.system.isVisibleTo(game.user)));
+  saveDataToFile(createZip(files), 'application/zip', `${toFileName(actor.name)}.zip`);
+}
+
+/**
+ * Convert notes to Markdown files, with folders named after their category path and unique file names
+ * @param {Array<Object>} categories - All category data for the actor
+ * @param {Array<Item>} notes - The notes
+ * @param {Object} [options]
+ * @param {string} [options.defaultKey=''] - The category folder for notes in the default category
+ * @param {number} [options.rootDepth=0] - How many outer categories to leave out of each folder path
+ * @returns {Array<{path: string, content: string}>}
+ */
+function toMarkdownFiles(categories, notes, { defaultKey = '', rootDepth = 0 } = {}) {
+  const usedPaths = new Set();
+  return notes.map(note => {
+    const folders = Category.path(categories, note.system.category || defaultKey)
+      .slice(rootDepth)
+      .map(c => toFileName(c.name));
+    const base = [...folders, toFileName(note.name)].join('/');
+
+    let path = `${base}.md`;
+    for (let copy = 2; usedPaths.has(path.toLowerCase()); copy++) {
+      path = `${base} (${copy}).md`;
+    }
+    usedPaths.add(path.toLowerCase());
+
+    return { path, content: noteToMarkdown(note) };
+  });
+}
+
+/**
+ * Create notes from Markdown files, and categories from their folders or front-matter
+ * @param {Actor} actor - The actor to import into
+ * @param {Array<{path: string, text: string}>} files - Markdown files with "/" separated paths
+ * @returns {Promise<{created: Array<Item>, skipped: Array<string>}>} The created notes and the paths of any files
+ *   that could not be read
+ */
+export async function importMarkdownFiles(actor, files) {
+  const notes = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const segments = file.path.split('/').filter(Boolean);
+    const fileName = segments.pop();
+    if (!/\.md$/i.test(fileName) || segments.some(s => s.startsWith('.') || s === '__MACOSX')) continue;
+
+    let parsed;
+    try {
+      parsed = parseMarkdownNote(file.text);
+    } catch {
+      skipped.push(file.path);
+      continue;
+    }
+
+    const { frontMatter, body } = parsed;
+    const categoryPath = segments.length ? segments : String(frontMatter.category ?? '').split('/');
+    const category = await Category.ensurePath(actor, categoryPath);
+
+    const noteData = {
+      name: String(frontMatter.name || fileName.replace(/\.md$/i, '')),
+      type: 'dnd5e-sheet-notes.note',
+      img: frontMatter.img || 'icons/svg/book.svg',
+      system: {
+        description: {
+          value: markdownToHtml(body)
+        },
+        category,
+        tags: NoteModel.normalizeTags(frontMatter.tags ?? [])
+      }
+    };
+
+    if (frontMatter.tracker && typeof frontMatter.tracker === 'object') {
+      noteData.system.tracker = frontMatter.tracker;
+    }
+    if (Array.isArray(frontMatter.checklist)) {
+      noteData.system.checklist = importEntries(frontMatter.checklist);
+    }
+    if (frontMatter.variant) {
+      noteData.system.variant = String(frontMatter.variant);
+    }
+    if (frontMatter.quest && typeof frontMatter.quest === 'object') {
+      const { status, giver, reward, objectives } = frontMatter.quest;
+      noteData.system.quest = {
+        giver: String(giver ?? ''),
+        reward: String(reward ?? ''),
+        objectives: Array.isArray(objectives) ? importEntries(objectives) : []
+      };
+      if (status) noteData.system.quest.status = String(status);
+    }
+    if (frontMatter.relationship && typeof frontMatter.relationship === 'object') {
+      const { actor, attitude, interactions } = frontMatter.relationship;
+      noteData.system.relationship = {
+        actor: String(actor ?? ''),
+        attitude: Number(attitude) || 0,
+        interactions: Array.isArray(interactions) ? interactions.map(entry => ({
+          id: foundry.utils.randomID(),
+          text: String((typeof entry === 'object' ? entry?.text : entry) ?? ''),
+          time: Number.isFinite(entry?.time) ? entry.time : null,
+          worldTime: Number.isFinite(entry?.worldTime) ? entry.worldTime : null
+        })) : []
+      };
+    }
+
+    // Tracker, quest, and relationship settings edited outside Foundry may not validate; keep the note and drop them
+    try {
+      new Item.implementation(noteData);
+    } catch {
+      delete noteData.system.tracker;
+      delete noteData.system.checklist;
+      delete noteData.system.variant;
+      delete noteData.system.quest;
+      delete noteData.system.relationship;
+      ui.notifications.warn(game.i18n.format('dnd5e-sheet-notes.transfer.errors.invalid-tracker', {
+        name: noteData.name
+      }));
+    }
+
+    notes.push(noteData);
+  }
+
+  const created = notes.length ? await actor.createEmbeddedDocuments('Item', notes) : [];
+  return { created, skipped };
+}
+
+/**
+ * Ask the user for Markdown files or zip archives and import them into the actor
+ * @param {Actor} actor - The actor to import into
+ * @returns {Promise<Array<Item>|null>} The created notes, or null if the import was cancelled
+ */
+export async function promptImportMarkdown(actor) {
+  const selected = await foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.localize('dnd5e-sheet-notes.transfer.import-markdown'),
+      icon: 'fab fa-markdown'
+    },
+    position: {
+      width: 400
+    },
+    content: await renderTemplate('modules/dnd5e-sheet-notes/templates/import_dialog.hbs', {
+      accept: '.md,.markdown,.zip,text/markdown,application/zip',
+      multiple: true,
+      hint: 'dnd5e-sheet-notes.transfer.hints.markdown'
+    }),
+    ok: {
+      label: game.i18n.localize('dnd5e-sheet-notes.transfer.import'),
+      icon: 'fas fa-file-import',
+      callback: (event, button) => [...button.form.elements.file.files]
+    },
+    rejectClose: false
+  });
+
+  if (!selected?.length) return null;
+
+  try {
+    const files = [];
+    for (const file of selected) {
+      if (/\.zip$/i.test(file.name)) {
+        files.push(...await readZip(file));
+      } else {
+        files.push({ path: file.name, text: await readTextFromFile(file) });
+      }
+    }
+
+    const { created, skipped } = await importMarkdownFiles(actor, files);
+    if (skipped.length) {
+      ui.notifications.warn(game.i18n.format('dnd5e-sheet-notes.transfer.errors.skipped', {
+        files: skipped.join(', ')
+      }));
+    }
+    ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.transfer.imported', { count: created.length }));
+    return created;
+  } catch (error) {
+    ui.notifications.error(game.i18n.format('dnd5e-sheet-notes.transfer.errors.failed', { error: error.message }));
+    return null;
+  }
+}
@@ -0,0 +1,262 @@
+/**
+ * Notebook Export and Import
+ * Serializes an actor's categories and notes to a single JSON document and restores them
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { Category } from '../entities/category.js';
+import { migrateNotebookData, MIGRATION_VERSION } from '../migrations/migrations.js';
+import { addToTrash, trashNotes, TRASH_TYPES } from '../trash/trash.js';
+
+/**
+ * Identifier written to every exported notebook
+ */
+export const NOTEBOOK_FORMAT = 'dnd5e-sheet-notes.notebook';
+
+/**
+ * Current version of the notebook document layout
+ */
+export const NOTEBOOK_FORMAT_VERSION = 1;
+
+/**
+ * How an imported notebook is combined with the actor's existing notes
+ */
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+};
+
+/**
+ * Serialize an actor's notebook into a versioned plain object
+ * @param {Actor} actor - The actor to export
+ * @returns {Object} The notebook document
+ */
+export function serializeNotebook(actor) {
+  if (!actor) throw new Error('Actor must be provided');
+
+  const notes = actor.items
+    .filter(item => item.type === 'dnd5e-sheet-notes.note' && item.system.isVisibleTo(game.user))
+    .map(item => {
+      const data = item.toObject();
+      delete data._id;
+      delete data.ownership;
+      delete data._stats;
+      return data;
+    });
+
+  return {
+    format: NOTEBOOK_FORMAT,
+    formatVersion: NOTEBOOK_FORMAT_VERSION,
+    moduleVersion: game.modules.get(MODULE_ID)?.version,
+    exportedAt: new Date().toISOString(),
+    actor: actor.name,
+    flags: {
+      version: actor.getFlag(MODULE_ID, 'version') ?? MIGRATION_VERSION,
+      categories: foundry.utils.deepClone(actor.getFlag(MODULE_ID, 'categories') || []),
+      categoryOrdering: Category.getOrdering(actor)
+    },
+    notes
+  };
+}
+
+/**
+ * Download an actor's notebook as a JSON file
+ * @param {Actor} actor - The actor to export
+ */
+export function exportNotebook(actor) {
+  const data = serializeNotebook(actor);
+  const filename = `notes-${actor.name.slugify({ strict: true })}.json`;
+  saveDataToFile(JSON.stringify(data, null, 2), 'text/json', filename);
+}
+
+/**
+ * Check that parsed JSON is a notebook this version of the module can read
+ * @param {Object} data - The parsed document
+ * @throws {Error} - If the document is not a supported notebook
+ */
+export function validateNotebook(data) {
+  if (data?.format !== NOTEBOOK_FORMAT) {
+    throw new Error(game.i18n.localize('dnd5e-sheet-notes.transfer.errors.not-notebook'));
+  }
+  if (!Number.isInteger(data.formatVersion) || data.formatVersion > NOTEBOOK_FORMAT_VERSION) {
+    throw new Error(game.i18n.format('dnd5e-sheet-notes.transfer.errors.unsupported-version', {
+      version: data.formatVersion
+    }));
+  }
+  if (!Array.isArray(data.flags?.categories) || !Array.isArray(data.notes)) {
+    throw new Error(game.i18n.localize('dnd5e-sheet-notes.transfer.errors.malformed'));
+  }
+}
+
+/**
+ * Import a notebook document into an actor
+ * Category keys are regenerated so they cannot collide with existing ones. When merging, imported categories
+ * reuse an existing category with the same name. Replacing moves the notes the user can see to the trash, along with
+ * the categories no remaining note needs; notes hidden from the user could not have been exported, so they are kept
+ * along with the categories holding them.
+ * @param {Actor} actor - The actor to import into
+ * @param {Object} data - The notebook document
+ * @param {Object} [options] - Import options
+ * @param {string} [options.mode] - One of IMPORT_MODES
+ * @returns {Promise<Array<Item>>} The created notes
+ */
+export async function importNotebook(actor, data, { mode = IMPORT_MODES.MERGE } = {}) {
+  if (!actor) throw new Error('Actor must be provided');
+  validateNotebook(data);
+
+  const replace = mode === IMPORT_MODES.REPLACE;
+  const replaced = replace ? actor.items.filter(item =>
+    item.type === 'dnd5e-sheet-notes.note' && item.system.isVisibleTo(game.user)
+  ) : [];
+
+  const currentCategories = foundry.utils.deepClone(actor.getFlag(MODULE_ID, 'categories') || []);
+  const existingCategories = replace
+    ? keptCategories(actor, currentCategories, new Set(replaced.map(note => note.id)))
+    : currentCategories;
+
+  // Bring data from older notebooks up to date before it reaches the actor, leaving the actor's own data alone
+  const payload = migrateNotebookData({
+    categories: foundry.utils.deepClone(data.flags.categories),
+    notes: foundry.utils.deepClone(data.notes.filter(note => note?.type === 'dnd5e-sheet-notes.note'))
+  }, data.flags.version ?? 0);
+
+  const { categories, keyMap } = remapCategories(payload.categories, existingCategories);
+
+  const notes = payload.notes.map(noteData => {
+    delete noteData._id;
+    delete noteData.system?.journal;
+    foundry.utils.setProperty(noteData, 'system.category', keyMap.get(noteData.system?.category) ?? '');
+    return noteData;
+  });
+
+  if (replace) {
+    await trashCategories(actor, currentCategories, existingCategories);
+    await trashNotes(replaced);
+    await actor.setFlag(MODULE_ID, 'categoryOrdering', data.flags.categoryOrdering ?? Category.getOrdering(actor));
+  }
+
+  await actor.setFlag(MODULE_ID, 'categories', categories);
+  return actor.createEmbeddedDocuments('Item', notes);
+}
+
+/**
+ * Ask the user for a notebook file and import mode, then import it into the actor
+ * @param {Actor} actor - The actor to import into
+ * @returns {Promise<Array<Item>|null>} The created notes, or null if the import was cancelled
+ */
+export async function promptImportNotebook(actor) {
+  const choice = await foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.localize('dnd5e-sheet-notes.transfer.import'),
+      icon: 'fas fa-file-import'
+    },
+    position: {
+      width: 400
+    },
+    content: await renderTemplate('modules/dnd5e-sheet-notes/templates/import_dialog.hbs', {
+      accept: '.json,application/json',
+      modes: [
+        { value: IMPORT_MODES.MERGE, label: 'dnd5e-sheet-notes.transfer.modes.merge', checked: true },
+        { value: IMPORT_MODES.REPLACE, label: 'dnd5e-sheet-notes.transfer.modes.replace' }
+      ]
+    }),
+    ok: {
+      label: game.i18n.localize('dnd5e-sheet-notes.transfer.import'),
+      icon: 'fas fa-file-import',
+      callback: (event, button) => ({
+        file: button.form.elements.file.files[0],
+        mode: button.form.elements.mode.value
+      })
+    },
+    rejectClose: false
+  });
+
+  if (!choice?.file) return null;
+
+  try {
+    const data = JSON.parse(await readTextFromFile(choice.file));
+    const created = await importNotebook(actor, data, { mode: choice.mode });
+    ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.transfer.imported', { count: created.length }));
+    return created;
+  } catch (error) {
+    ui.notifications.error(game.i18n.format('dnd5e-sheet-notes.transfer.errors.failed', { error: error.message }));
+    return null;
+  }
+}
+
+/**
+ * Get the categories still needed by the notes a replacing import keeps, with the categories they are nested in,
+ * and the default category
+ * @param {Actor} actor - The actor being imported into
+ * @param {Array<Object>} categories - Category data on the actor
+ * @param {Set<string>} replaced - IDs of the notes being replaced
+ * @returns {Array<Object>} The categories to keep
+ */
+function keptCategories(actor, categories, replaced) {
+  const keys = new Set(categories.filter(category => category.name === 'Notes').map(category => category.key));
+  for (const item of actor.items) {
+    if (item.type !== 'dnd5e-sheet-notes.note' || replaced.has(item.id)) continue;
+    Category.path(categories, item.system.category).forEach(category => keys.add(category.key));
+  }
+  return categories.filter(category => keys.has(category.key));
+}
+
+/**
+ * Move the categories a replacing import drops to the trash, one entry per dropped category with its dropped
+ * sub-categories, as deleting them would
+ * @param {Actor} actor - The actor being imported into
+ * @param {Array<Object>} categories - Category data on the actor before the import
+ * @param {Array<Object>} kept - The categories being kept
+ * @returns {Promise<void>}
+ */
+async function trashCategories(actor, categories, kept) {
+  const keptKeys = new Set(kept.map(category => category.key));
+  const dropped = categories.filter(category => !keptKeys.has(category.key));
+  const droppedKeys = new Set(dropped.map(category => category.key));
+
+  // Sub-categories go in the same entry as the outermost dropped category above them
+  for (const root of dropped.filter(category => !droppedKeys.has(category.parent))) {
+    const keys = Category.descendantKeys(categories, root.key).add(root.key);
+    await addToTrash(actor, {
+      type: TRASH_TYPES.CATEGORY,
+      name: root.name,
+      categories: dropped.filter(category => keys.has(category.key)),
+      children: [],
+      notes: []
+    });
+  }
+}
+
+/**
+ * Give imported categories fresh keys and combine them with existing categories
+ * @param {Array<Object>} imported - Category data from the notebook
+ * @param {Array<Object>} existing - Category data already on the actor
+ * @returns {{categories: Array<Object>, keyMap: Map<string, string>}} The combined categories and a map from
+ *   imported keys to the keys they now use
+ */
+function remapCategories(imported, existing) {
+  const keyMap = new Map();
+  const categories = [...existing];
+
+  for (const categoryData of imported) {
+    const match = categories.find(c => c.name.toLowerCase() === categoryData.name?.toLowerCase());
+    if (match) {
+      keyMap.set(categoryData.key, match.key);
+      continue;
+    }
+
+    const category = new Category({ ...categoryData, key: foundry.utils.randomID(), parent: '' });
+    keyMap.set(categoryData.key, category.key);
+    categories.push({ ...category.toObject(), parent: categoryData.parent || '' });
+  }
+
+  // Parents can only be remapped once every imported category has its new key
+  const importedKeys = new Set(keyMap.values());
+  for (const category of categories) {
+    if (!importedKeys.has(category.key) || !category.parent) continue;
+    if (existing.some(c => c.key === category.key)) continue;
+    category.parent = keyMap.get(category.parent) ?? '';
+  }
+
+  return { categories, keyMap };
+}
@@ -0,0 +1,172 @@
+/**
+ * Minimal Zip Archive Support
+ * Writes uncompressed archives and reads stored or deflated ones, which covers archives produced by this module,
+ * operating system "compress folder" tools, and note-taking apps
+ * `npm run check:zip` checks that archives written here read back, and that archives from other tools can be read.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum zip archives use to verify file contents
+ * @param {Uint8Array} bytes - The data to checksum
+ * @returns {number} The unsigned checksum
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS time and date fields used in zip headers
+ * @param {Date} date - The date to convert
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create an uncompressed zip archive
+ * @param {Array<{path: string, content: string}>} files - Files to add, with "/" separated paths
+ * @returns {Blob} The archive
+ */
+export function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(local, name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * Read the text files in a zip archive
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Array<{path: string, text: string}>>} The files in the archive, excluding directories
+ * @throws {Error} - If the archive is not a zip file or uses an unsupported compression method
+ */
+export async function readZip(blob) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) throw new Error('Not a zip archive');
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const files = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_DIRECTORY_HEADER) throw new Error('Corrupt zip archive');
+
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, pointer + 46, nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+
+    const dataOffset = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataOffset, compressedSize);
+
+    let bytes;
+    if (method === METHOD_STORED) {
+      bytes = data;
+    } else if (method === METHOD_DEFLATED) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else {
+      throw new Error(`Unsupported compression method ${method} for "${path}"`);
+    }
+
+    files.push({ path, text: decoder.decode(bytes) });
+  }
+
+  return files;
+}
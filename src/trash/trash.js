@@ -0,0 +1,241 @@
+/**
+ * Trash
+ * Keeps deleted notes and categories in an actor flag so they can be restored, until they expire
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { relinkJournal } from '../transfer/journal.js';
+
+/**
+ * Actor flag holding the trash entries
+ */
+export const TRASH_FLAG = 'trash';
+
+/**
+ * The world setting holding how many days deleted notes and categories are kept
+ */
+export const TRASH_RETENTION_SETTING = 'trashRetention';
+
+/**
+ * Kinds of trash entry
+ */
+export const TRASH_TYPES = {
+  NOTE: 'note',
+  CATEGORY: 'category'
+};
+
+/**
+ * Milliseconds in a day
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the raw trash entries on an actor
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>}
+ */
+function getEntries(actor) {
+  return foundry.utils.deepClone(actor.getFlag(MODULE_ID, TRASH_FLAG) || []);
+}
+
+/**
+ * When a trash entry will be purged
+ * @param {Object} entry - The trash entry
+ * @returns {number} Milliseconds since the epoch
+ */
+function expiresAt(entry) {
+  return entry.time + (game.settings.get(MODULE_ID, TRASH_RETENTION_SETTING) * DAY);
+}
+
+/**
+ * Get the trash entries on an actor the current user may see, newest first, with their remaining days
+ * Notes hidden from the user stay out of their view in the trash too.
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>}
+ */
+export function getTrash(actor) {
+  const now = Date.now();
+  return getEntries(actor)
+    .filter(entry => isVisibleEntry(actor, entry))
+    .map(entry => ({ ...entry, daysLeft: Math.max(0, Math.ceil((expiresAt(entry) - now) / DAY)) }))
+    .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Whether the current user may see a trash entry, following the visibility of a trashed note
+ * Matches NOTE_VISIBILITY by value, since the note model imports the category entity, which imports this module.
+ * @param {Actor} actor - The actor
+ * @param {Object} entry - The trash entry
+ * @returns {boolean}
+ */
+function isVisibleEntry(actor, entry) {
+  switch (entry.data?.system?.visibility) {
+    case 'gm':
+      return game.user.isGM;
+    case 'owner':
+      return game.user.isGM || actor.testUserPermission(game.user, 'OWNER');
+    default:
+      return true;
+  }
+}
+
+/**
+ * Add an entry to an actor's trash
+ * @param {Actor} actor - The actor
+ * @param {Object} entry - The entry, with a type, a name, and the data needed to restore it
+ * @returns {Promise<Object>} The stored entry
+ */
+export async function addToTrash(actor, entry) {
+  const stored = { id: foundry.utils.randomID(), time: Date.now(), ...entry };
+  await actor.setFlag(MODULE_ID, TRASH_FLAG, [...getEntries(actor), stored]);
+  return stored;
+}
+
+/**
+ * Move a note to its actor's trash
+ * @param {Item} note - The note
+ * @returns {Promise<void>}
+ */
+export async function trashNote(note) {
+  await trashNotes([note]);
+}
+
+/**
+ * Move several notes of one actor to its trash, each as its own entry, in a single deletion
+ * @param {Array<Item>} notes - The notes
+ * @returns {Promise<void>}
+ */
+export async function trashNotes(notes) {
+  const actor = notes[0]?.parent;
+  if (!actor) return;
+
+  const time = Date.now();
+  const entries = notes.map(note => ({
+    id: foundry.utils.randomID(),
+    time,
+    type: TRASH_TYPES.NOTE,
+    name: note.name,
+    data: note.toObject()
+  }));
+  await actor.setFlag(MODULE_ID, TRASH_FLAG, [...getEntries(actor), ...entries]);
+  await actor.deleteEmbeddedDocuments('Item', notes.map(note => note.id));
+}
+
+/**
+ * Remove an entry from an actor's trash without restoring it
+ * @param {Actor} actor - The actor
+ * @param {string} id - The entry ID
+ * @returns {Promise<void>}
+ */
+export async function deleteFromTrash(actor, id) {
+  await actor.setFlag(MODULE_ID, TRASH_FLAG, getEntries(actor).filter(entry => entry.id !== id));
+}
+
+/**
+ * Permanently delete everything in an actor's trash that the current user can see
+ * @param {Actor} actor - The actor
+ * @returns {Promise<void>}
+ */
+export async function emptyTrash(actor) {
+  const visible = new Set(getTrash(actor).map(entry => entry.id));
+  await actor.setFlag(MODULE_ID, TRASH_FLAG, getEntries(actor).filter(entry => !visible.has(entry.id)));
+}
+
+/**
+ * Permanently delete trash entries older than the world's retention period
+ * @param {Actor} actor - The actor
+ * @returns {Promise<void>}
+ */
+export async function purgeExpiredTrash(actor) {
+  const entries = getEntries(actor);
+  const now = Date.now();
+  const kept = entries.filter(entry => expiresAt(entry) > now);
+  if (kept.length !== entries.length) {
+    await actor.setFlag(MODULE_ID, TRASH_FLAG, kept);
+  }
+}
+
+/**
+ * Restore an entry from an actor's trash
+ * @param {Actor} actor - The actor
+ * @param {string} id - The entry ID
+ * @returns {Promise<void>}
+ */
+export async function restoreFromTrash(actor, id) {
+  const entry = getEntries(actor).find(e => e.id === id);
+  if (!entry) return;
+
+  if (entry.type === TRASH_TYPES.CATEGORY) {
+    await restoreCategories(actor, entry);
+  } else {
+    await restoreNote(actor, entry);
+  }
+}
+
+/**
+ * Recreate a trashed note with its original ID, in its original category
+ * If the category was deleted too it is restored first; if it is gone for good the note goes to the default category.
+ * A note linked to a journal page is linked back to it where the page allows.
+ * @param {Actor} actor - The actor
+ * @param {Object} entry - The note's trash entry
+ * @returns {Promise<void>}
+ */
+async function restoreNote(actor, entry) {
+  const data = foundry.utils.deepClone(entry.data);
+  const key = data.system?.category;
+
+  const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+  if (key && !categories.some(c => c.key === key)) {
+    const categoryEntry = getEntries(actor).find(e =>
+      e.type === TRASH_TYPES.CATEGORY && e.categories.some(c => c.key === key)
+    );
+    if (categoryEntry) {
+      await restoreCategories(actor, categoryEntry);
+    } else {
+      data.system.category = '';
+    }
+  }
+
+  await deleteFromTrash(actor, entry.id);
+  const [note] = await actor.createEmbeddedDocuments('Item', [data], { keepId: !actor.items.has(data._id) });
+  if (note) await relinkJournal(note);
+}
+
+/**
+ * Put trashed categories back with their original keys, return their sub-categories to them, and move their notes
+ * back from the default category
+ * @param {Actor} actor - The actor
+ * @param {Object} entry - The categories' trash entry
+ * @returns {Promise<void>}
+ */
+async function restoreCategories(actor, entry) {
+  const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+  const keys = new Set([...categories.map(c => c.key), ...entry.categories.map(c => c.key)]);
+
+  for (const category of entry.categories) {
+    if (categories.some(c => c.key === category.key)) continue;
+
+    let name = category.name;
+    if (categories.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+      name = game.i18n.format('dnd5e-sheet-notes.trash.restored-name', { name });
+    }
+    categories.push({ ...category, name, parent: keys.has(category.parent) ? category.parent : '' });
+  }
+
+  // Sub-categories promoted when the category was deleted return to it, unless they have been moved since
+  for (const { key, parent, promotedTo } of entry.children ?? []) {
+    const child = categories.find(c => c.key === key);
+    if (child && (child.parent || '') === promotedTo) child.parent = parent;
+  }
+
+  await deleteFromTrash(actor, entry.id);
+  await actor.setFlag(MODULE_ID, 'categories', categories);
+
+  // Notes moved to the default category return, unless they have been filed elsewhere since
+  const noteUpdates = (entry.notes ?? [])
+    .filter(({ id }) => actor.items.get(id)?.system.category === '')
+    .map(({ id, category }) => ({ _id: id, 'system.category': category }));
+  if (noteUpdates.length) {
+    await actor.updateEmbeddedDocuments('Item', noteUpdates);
+  }
+}
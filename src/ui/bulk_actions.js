@@ -0,0 +1,372 @@
+/**
+ * Bulk Actions
+ * Lets several notes in the Notes tab be selected at once and moved, tagged, duplicated, exported, or deleted together
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+import { Category } from '../entities/category.js';
+import { NOTE_VISIBILITY, NoteModel } from '../models/note_model.js';
+import { exportNotesMarkdown } from '../transfer/markdown.js';
+import { trashNotes, TRASH_RETENTION_SETTING } from '../trash/trash.js';
+import { NoteContextMenu } from './note_context_menu.js';
+
+/**
+ * Ways tags can be changed on the selected notes
+ */
+const TAG_MODES = {
+  ADD: 'add',
+  REMOVE: 'remove'
+};
+
+/**
+ * Get the IDs of the selected notes, keeping them across re-renders of the sheet
+ * @param {ActorSheet5e} app - The sheet application
+ * @returns {Set<string>}
+ */
+function getSelection(app) {
+  if (!app._notesSelection) {
+    app._notesSelection = new Set();
+  }
+  return app._notesSelection;
+}
+
+/**
+ * Get the selected note IDs in the order their rows are shown
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ * @returns {Array<string>}
+ */
+export function getSelectedNoteIds(app, container) {
+  const selection = getSelection(app);
+  return getNoteRows(container).map(row => row.dataset.noteKey).filter(id => selection.has(id));
+}
+
+/**
+ * Get the note rows in the notes list
+ * @param {HTMLElement} container - The notes tab container
+ * @returns {Array<HTMLElement>}
+ */
+function getNoteRows(container) {
+  return Array.from(container.querySelectorAll('.notes-list .item[data-note-key]'));
+}
+
+/**
+ * Activate note selection and the bulk action bar
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ */
+export function activateBulkActions(app, container) {
+  const selection = getSelection(app);
+
+  // Forget notes that were deleted or are no longer shown since the last render
+  const shown = new Set(getNoteRows(container).map(row => row.dataset.noteKey));
+  for (const id of selection) {
+    if (!shown.has(id)) selection.delete(id);
+  }
+
+  container.querySelectorAll('.notes-list input.note-select').forEach(input => {
+    input.addEventListener('click', event => {
+      event.stopPropagation();
+      const id = event.currentTarget.dataset.noteKey;
+      if (event.shiftKey && app._notesSelectionAnchor) {
+        selectRange(app, container, id);
+      } else {
+        toggleSelected(app, id, event.currentTarget.checked);
+      }
+      refreshSelection(app, container);
+    });
+
+    // Keep the sheet from submitting its form for a checkbox that is not part of it
+    input.addEventListener('change', event => event.stopPropagation());
+  });
+
+  const bar = container.querySelector('.notes-bulk-bar');
+  bar?.querySelectorAll('[data-bulk-action]').forEach(button => {
+    button.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const action = event.currentTarget.dataset.bulkAction;
+      if (action === 'clear') {
+        clearSelection(app, container);
+        return;
+      }
+
+      const notes = getSelectedNoteIds(app, container).map(id => app.actor.items.get(id)).filter(Boolean);
+      if (!notes.length) return;
+
+      try {
+        const done = await BULK_ACTIONS[action]?.(app.actor, notes);
+        // The sheet may have re-rendered the tab while the action ran
+        if (done) clearSelection(app, app.element?.[0]?.querySelector('.tab.dnd5e-sheet-notes') ?? container);
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    });
+  });
+
+  refreshSelection(app, container);
+}
+
+/**
+ * Handle a click on a note row with Shift, Ctrl, or Cmd held, selecting instead of opening the note
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ * @param {MouseEvent} event - The click event
+ * @returns {boolean} Whether the click changed the selection
+ */
+export function handleSelectionClick(app, container, event) {
+  const id = event.currentTarget.closest('[data-note-key]')?.dataset.noteKey;
+  if (!id) return false;
+
+  if (event.shiftKey) {
+    selectRange(app, container, id);
+  } else if (event.ctrlKey || event.metaKey) {
+    toggleSelected(app, id, !getSelection(app).has(id));
+  } else {
+    return false;
+  }
+
+  refreshSelection(app, container);
+  return true;
+}
+
+/**
+ * Select or deselect a single note, making it the start of the next Shift-click range
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {string} id - The note ID
+ * @param {boolean} selected - Whether the note should be selected
+ */
+function toggleSelected(app, id, selected) {
+  const selection = getSelection(app);
+  if (selected) {
+    selection.add(id);
+  } else {
+    selection.delete(id);
+  }
+  app._notesSelectionAnchor = id;
+}
+
+/**
+ * Add every visible note between the last clicked note and the given one to the selection
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ * @param {string} id - The note ID at the end of the range
+ */
+function selectRange(app, container, id) {
+  // Notes hidden by a filter or a collapsed category are left out of the range
+  const ids = getNoteRows(container).filter(row => row.offsetParent !== null).map(row => row.dataset.noteKey);
+  const end = ids.indexOf(id);
+  const start = ids.indexOf(app._notesSelectionAnchor);
+  if (start === -1) {
+    toggleSelected(app, id, true);
+    return;
+  }
+
+  const selection = getSelection(app);
+  ids.slice(Math.min(start, end), Math.max(start, end) + 1).forEach(noteId => selection.add(noteId));
+}
+
+/**
+ * Deselect every note
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ */
+function clearSelection(app, container) {
+  getSelection(app).clear();
+  app._notesSelectionAnchor = null;
+  refreshSelection(app, container);
+}
+
+/**
+ * Show the selection on the note rows and the bulk action bar
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ */
+function refreshSelection(app, container) {
+  const selection = getSelection(app);
+  for (const row of getNoteRows(container)) {
+    const selected = selection.has(row.dataset.noteKey);
+    row.classList.toggle('selected', selected);
+    const input = row.querySelector('input.note-select');
+    if (input) input.checked = selected;
+  }
+
+  container.classList.toggle('has-selection', selection.size > 0);
+
+  const bar = container.querySelector('.notes-bulk-bar');
+  if (bar) {
+    bar.hidden = !selection.size;
+    bar.querySelector('.bulk-count').textContent = game.i18n.format('dnd5e-sheet-notes.bulk.selected', {
+      count: selection.size
+    });
+  }
+}
+
+/**
+ * Ask for the settings of a bulk action
+ * @param {string} action - The action, used for the dialog title
+ * @param {string} icon - The dialog icon
+ * @param {Object} data - Data for the dialog template, choosing which fields are shown
+ * @returns {Promise<Object|null>} The submitted form values, or null if cancelled
+ */
+async function promptBulkAction(action, icon, data) {
+  return foundry.applications.api.DialogV2.prompt({
+    window: {
+      title: game.i18n.localize(`dnd5e-sheet-notes.bulk.${action}`),
+      icon
+    },
+    position: {
+      width: 400
+    },
+    content: await renderTemplate('modules/dnd5e-sheet-notes/templates/bulk_dialog.hbs', data),
+    ok: {
+      label: game.i18n.localize('dnd5e-sheet-notes.bulk.apply'),
+      icon: 'fas fa-check',
+      callback: (event, button) => Object.fromEntries(
+        Array.from(button.form.elements).filter(element => element.name).map(element => [element.name, element.value])
+      )
+    },
+    rejectClose: false
+  });
+}
+
+/**
+ * Move the notes into a category chosen by the user
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The selected notes
+ * @returns {Promise<boolean>} Whether the notes were moved
+ */
+async function moveNotes(actor, notes) {
+  const categories = actor.getFlag(MODULE_ID, 'categories') || [];
+  const options = Category.sortCategories([...categories], Category.getOrdering(actor)).map(category => ({
+    // Notes in the default category have no category key
+    value: category.name === 'Notes' ? '' : category.key,
+    label: Category.path(categories, category.key).map(c => c.name).join(' / ')
+  }));
+
+  const result = await promptBulkAction('move', 'fas fa-folder-open', { count: notes.length, categories: options });
+  if (!result) return false;
+
+  const updates = notes
+    .filter(note => (note.system.category || '') !== result.category)
+    .map(note => ({ _id: note.id, 'system.category': result.category }));
+  if (updates.length) await actor.updateEmbeddedDocuments('Item', updates);
+  return true;
+}
+
+/**
+ * Add tags to or remove tags from the notes
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The selected notes
+ * @returns {Promise<boolean>} Whether the tags were changed
+ */
+async function tagNotes(actor, notes) {
+  const result = await promptBulkAction('tag', 'fas fa-tags', {
+    count: notes.length,
+    tagModes: {
+      [TAG_MODES.ADD]: 'dnd5e-sheet-notes.bulk.tag-modes.add',
+      [TAG_MODES.REMOVE]: 'dnd5e-sheet-notes.bulk.tag-modes.remove'
+    }
+  });
+  if (!result) return false;
+
+  const tags = NoteModel.normalizeTags(result.tags);
+  if (!tags.length) return false;
+  const removed = new Set(tags.map(tag => tag.toLowerCase()));
+
+  const updates = notes.map(note => ({
+    _id: note.id,
+    'system.tags': result.mode === TAG_MODES.REMOVE
+      ? note.system.tags.filter(tag => !removed.has(tag.toLowerCase()))
+      : NoteModel.normalizeTags([...note.system.tags, ...tags])
+  }));
+  await actor.updateEmbeddedDocuments('Item', updates);
+  return true;
+}
+
+/**
+ * Change who can see the notes
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The selected notes
+ * @returns {Promise<boolean>} Whether the visibility was changed
+ */
+async function changeVisibility(actor, notes) {
+  const visibilityOptions = {
+    [NOTE_VISIBILITY.PUBLIC]: 'dnd5e-sheet-notes.visibility.public',
+    [NOTE_VISIBILITY.OWNER]: 'dnd5e-sheet-notes.visibility.owner'
+  };
+  if (game.user.isGM) {
+    visibilityOptions[NOTE_VISIBILITY.GM] = 'dnd5e-sheet-notes.visibility.gm';
+  }
+
+  const result = await promptBulkAction('visibility', 'fas fa-eye-slash', { count: notes.length, visibilityOptions });
+  if (!result) return false;
+
+  const updates = notes
+    .filter(note => note.system.visibility !== result.visibility)
+    .map(note => ({ _id: note.id, 'system.visibility': result.visibility }));
+  if (updates.length) await actor.updateEmbeddedDocuments('Item', updates);
+  return true;
+}
+
+/**
+ * Create copies of the notes
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The selected notes
+ * @returns {Promise<boolean>}
+ */
+async function duplicateNotes(actor, notes) {
+  await actor.createEmbeddedDocuments('Item', notes.map(note => NoteContextMenu.getDuplicateData(note)));
+  ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.bulk.duplicated', { count: notes.length }));
+  return true;
+}
+
+/**
+ * Download the notes as a zip of Markdown files
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The selected notes
+ * @returns {Promise<boolean>}
+ */
+async function exportNotes(actor, notes) {
+  exportNotesMarkdown(actor, notes);
+  return true;
+}
+
+/**
+ * Move the notes to the trash after confirmation
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The selected notes
+ * @returns {Promise<boolean>} Whether the notes were deleted
+ */
+async function deleteNotes(actor, notes) {
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize('dnd5e-sheet-notes.bulk.delete'),
+      icon: 'fas fa-trash'
+    },
+    position: {
+      width: 400
+    },
+    content: `<p>${game.i18n.format('dnd5e-sheet-notes.bulk.confirm-delete', {
+      count: notes.length,
+      days: game.settings.get(MODULE_ID, TRASH_RETENTION_SETTING)
+    })}</p>`,
+    rejectClose: false
+  });
+  if (!confirmed) return false;
+
+  await trashNotes(notes);
+  return true;
+}
+
+/**
+ * Bulk action handlers by the data-bulk-action of their button
+ */
+const BULK_ACTIONS = {
+  move: moveNotes,
+  tag: tagNotes,
+  visibility: changeVisibility,
+  duplicate: duplicateNotes,
+  export: exportNotes,
+  delete: deleteNotes
+};
@@ -3,6 +3,7 @@
  * @extends {ApplicationV2}
  */
 import { Category } from '../entities/category';
+import { isSessionCategory, setSessionCategory } from '../sessions/session_log';
 
 export class CategoryEditor extends foundry.applications.api
   .HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
@@ -44,16 +45,32 @@ export class CategoryEditor extends foundry.applications.api
 
   /** @override */
   async _prepareContext(_options) {
+    const categories = this.actor.getFlag('dnd5e-sheet-notes', 'categories') || [];
+    const excludedKeys = this.isEditMode
+      ? Category.descendantKeys(categories, this.category.key).add(this.category.key)
+      : new Set();
+
     const context = {
       isEditMode: this.isEditMode,
       category: this.isEditMode ? this.category : {
         name: '',
-        ordering: 0
+        ordering: 0,
+        parent: '',
+        color: '',
+        icon: '',
+        description: ''
       },
+      parentOptions: categories
+        .filter(c => !excludedKeys.has(c.key))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(c => ({ value: c.key, label: c.name })),
       isNotesCategory: this.isEditMode && this.category?.name === 'Notes',
+      isSessionCategory: this.isEditMode && isSessionCategory(this.actor, this.category.key),
+      categoryOrdering: Category.getOrdering(this.actor),
       orderingOptions: [
         { value: 0, label: game.i18n.localize('dnd5e-sheet-notes.category.ordering.alphabetical') },
-        { value: 1, label: game.i18n.localize('dnd5e-sheet-notes.category.ordering.manual') }
+        { value: 1, label: game.i18n.localize('dnd5e-sheet-notes.category.ordering.manual') },
+        { value: 2, label: game.i18n.localize('dnd5e-sheet-notes.category.ordering.chronological') }
       ]
     };
 
@@ -77,10 +94,22 @@ export class CategoryEditor extends foundry.applications.api
     const form = this.element.querySelector('form');
     const nameInput = form?.querySelector('input[name="name"]');
     const orderingInput = form?.querySelector('input[name="ordering"]:checked');
+    const parentInput = form?.querySelector('select[name="parent"]');
+    const categoryOrderingInput = form?.querySelector('input[name="categoryOrdering"]:checked');
+    const colorInput = form?.querySelector('[name="color"]');
+    const iconInput = form?.querySelector('input[name="icon"]');
+    const descriptionInput = form?.querySelector('input[name="description"]');
+    const sessionInput = form?.querySelector('input[name="session"]');
 
     const data = {
       name: nameInput?.value || '',
-      ordering: parseInt(orderingInput?.value) || 0
+      ordering: parseInt(orderingInput?.value) || 0,
+      parent: parentInput?.value || '',
+      categoryOrdering: parseInt(categoryOrderingInput?.value) || 0,
+      color: colorInput?.value || '',
+      icon: iconInput?.value.trim() || '',
+      description: descriptionInput?.value.trim() || '',
+      session: !!sessionInput?.checked
     };
 
     const editor = this;
@@ -92,14 +121,23 @@ export class CategoryEditor extends foundry.applications.api
     }
 
     try {
+      let category = editor.category;
       if (!editor.isEditMode) {
-        await Category.create(editor.actor, {
+        category = await Category.create(editor.actor, {
           name: data.name.trim(),
-          ordering: data.ordering
+          ordering: data.ordering,
+          parent: data.parent,
+          color: data.color,
+          icon: data.icon,
+          description: data.description
         });
       } else {
         const updates = {
-          ordering: data.ordering
+          ordering: data.ordering,
+          parent: data.parent,
+          color: data.color,
+          icon: data.icon,
+          description: data.description
         };
 
         if (editor.category.name !== 'Notes') {
@@ -109,6 +147,14 @@ export class CategoryEditor extends foundry.applications.api
         await editor.category.update(updates);
       }
 
+      if (data.session !== isSessionCategory(editor.actor, category.key)) {
+        await setSessionCategory(editor.actor, category.key, data.session);
+      }
+
+      if (data.categoryOrdering !== Category.getOrdering(editor.actor)) {
+        await Category.setOrdering(editor.actor, data.categoryOrdering);
+      }
+
       editor.close();
     } catch (error) {
       ui.notifications.error(error.message);
@@ -160,6 +206,18 @@ export class CategoryEditor extends foundry.applications.api
       await CategoryEditor.#onSave.call(editor, event, event.currentTarget);
     });
 
+    editor.element.querySelector('[data-action="browse-icon"]')?.addEventListener('click', event => {
+      event.preventDefault();
+      const iconInput = editor.element.querySelector('input[name="icon"]');
+      new FilePicker({
+        type: 'image',
+        current: iconInput.value,
+        callback: path => {
+          iconInput.value = path;
+        }
+      }).render(true);
+    });
+
     editor.element.querySelectorAll('input[type="text"]').forEach(input => {
       input.addEventListener('keydown', async event => {
         if (event.key === 'Enter') {
@@ -4,7 +4,7 @@
  */
 
 /**
- * Register libWrapper enhancement for favorites functionality
+ * Register libWrapper enhancement for favorites functionality and hide restricted notes from the favorites list
  */
 export function registerFavoriteEnhancement() {
   libWrapper.register('dnd5e-sheet-notes',
@@ -17,6 +17,7 @@ export function registerFavoriteEnhancement() {
       if ( (favorite instanceof dnd5e.documents.Item5e) || event.currentTarget.dataset.activityId ) {
         // Special handling for notes - open sheet like containers do
         if ( favorite.type === 'dnd5e-sheet-notes.note' ) {
+          if ( !favorite.system.isVisibleTo(game.user) ) return;
           return favorite.sheet.render(true);
         }
       }
@@ -24,4 +25,21 @@ export function registerFavoriteEnhancement() {
       // Call original method for all other types
       return wrapped(event);
     }, 'MIXED');
+
+  Hooks.on('renderActorSheet5eCharacter2', hideRestrictedFavorites);
+}
+
+/**
+ * Remove favorited notes the current user is not allowed to see from the favorites list
+ * @param {ActorSheet5eCharacter2} app - The sheet application
+ * @param {HTMLElement|jQuery} html - The rendered HTML
+ */
+function hideRestrictedFavorites(app, html) {
+  const el = html[0] || html;
+  el.querySelectorAll('.favorites [data-favorite-id]').forEach(favoriteEl => {
+    const favorite = fromUuidSync(favoriteEl.dataset.favoriteId, { relative: app.actor });
+    if ( favorite?.type === 'dnd5e-sheet-notes.note' && !favorite.system.isVisibleTo(game.user) ) {
+      favoriteEl.remove();
+    }
+  });
 }
@@ -3,6 +3,11 @@
  * Handles right-click and ellipsis button context menus for note items
  */
 
+import { exportNoteMarkdown } from '../transfer/markdown.js';
+import { publishToJournal } from '../transfer/journal.js';
+import { isPinned, PINNED_FLAG } from './pinned_notes.js';
+import { trashNote, TRASH_RETENTION_SETTING } from '../trash/trash.js';
+
 export class NoteContextMenu {
   static documentClickHandler = null;
 
@@ -66,6 +71,30 @@ export class NoteContextMenu {
     this.activeContextMenu = contextMenu;
   }
 
+  /**
+   * Show a menu of arbitrary entries, such as the template picker on the add note button
+   * @param {Event} event - The triggering event
+   * @param {Array<{icon: string, label: string, callback: Function}>} entries - The menu entries
+   */
+  static showMenu(event, entries) {
+    this.closeContextMenu();
+
+    const menu = document.createElement('nav');
+    menu.id = 'context-menu';
+    menu.className = 'dnd5e2 expand-down';
+
+    const contextItems = document.createElement('ol');
+    contextItems.className = 'context-items';
+    for (const { icon, label, callback } of entries) {
+      contextItems.appendChild(this.createContextItem(icon, label, callback));
+    }
+    menu.appendChild(contextItems);
+
+    this.positionContextMenu(menu, event);
+    document.body.appendChild(menu);
+    this.activeContextMenu = menu;
+  }
+
   /**
    * Create the context menu DOM element
    * @param {Item5e} note - The note item
@@ -86,6 +115,12 @@ export class NoteContextMenu {
       () => this.viewNote(note)
     ));
 
+    contextItems.appendChild(this.createContextItem(
+      'fab fa-markdown fa-fw',
+      'Export as Markdown',
+      () => exportNoteMarkdown(note)
+    ));
+
     if (sheet.isEditable) {
       contextItems.appendChild(this.createContextItem(
         'fas fa-edit fa-fw',
@@ -93,12 +128,24 @@ export class NoteContextMenu {
         () => this.editNote(note)
       ));
 
+      contextItems.appendChild(this.createContextItem(
+        'fas fa-thumbtack fa-fw',
+        isPinned(note) ? 'Unpin from Sheet' : 'Pin to Sheet',
+        () => this.togglePinned(note)
+      ));
+
       contextItems.appendChild(this.createContextItem(
         'fas fa-copy fa-fw',
         'Duplicate',
         () => this.duplicateNote(note, sheet.actor)
       ));
 
+      contextItems.appendChild(this.createContextItem(
+        'fas fa-book-open fa-fw',
+        'Publish to Journal',
+        () => this.publishNote(note)
+      ));
+
       contextItems.appendChild(this.createContextItem(
         'fas fa-trash fa-fw',
         'Delete',
@@ -196,29 +243,54 @@ export class NoteContextMenu {
    * @param {Actor5e} actor - The actor that owns the note
    */
   static async duplicateNote(note, actor) {
+    await actor.createEmbeddedDocuments('Item', [this.getDuplicateData(note)]);
+    ui.notifications.info(`Duplicated note: ${note.name}`);
+  }
+
+  /**
+   * Get the data for a copy of a note, without its journal link, timestamps, or history
+   * @param {Item5e} note - The note item
+   * @returns {Object} Item creation data
+   */
+  static getDuplicateData(note) {
     const noteData = note.toObject();
     noteData.name = `${noteData.name} (Copy)`;
     delete noteData._id;
+    delete noteData.system.journal;
+    delete noteData.system.timestamps;
+    delete noteData.system.history;
+    return noteData;
+  }
 
-    await actor.createEmbeddedDocuments('Item', [noteData]);
-    ui.notifications.info(`Duplicated note: ${note.name}`);
+  /**
+   * Publish a note to a journal page
+   * @param {Item5e} note - The note item
+   */
+  static async publishNote(note) {
+    try {
+      await publishToJournal(note);
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
   }
 
   /**
-   * Delete a note with confirmation
+   * Move a note to the trash with confirmation
    * @param {Item5e} note - The note item
    * @param {Actor5e} actor - The actor that owns the note
    */
   static async deleteNote(note, actor) {
+    const days = game.settings.get('dnd5e-sheet-notes', TRASH_RETENTION_SETTING);
     const confirmed = await Dialog.confirm({
       title: `Delete Note: ${note.name}`,
-      content: `<p>Are you sure you want to delete the note "${note.name}"?</p><p>This action cannot be undone.</p>`,
+      content: `<p>Are you sure you want to delete the note "${note.name}"?</p>`
+        + `<p>It will be kept in the Trash at the bottom of the Notes tab for ${days} days.</p>`,
       defaultYes: false
     });
 
     if (confirmed) {
-      await note.delete();
-      ui.notifications.info(`Deleted note: ${note.name}`);
+      await trashNote(note);
+      ui.notifications.info(`Moved note to the trash: ${note.name}`);
     }
   }
 
@@ -255,4 +327,20 @@ export class NoteContextMenu {
     const action = currentFavorite ? 'removed from' : 'added to';
     ui.notifications.info(`Note "${note.name}" ${action} favorites`);
   }
+
+  /**
+   * Toggle whether a note is pinned to the top of a character sheet tab
+   * @param {Item5e} note - The note item
+   */
+  static async togglePinned(note) {
+    const pinned = isPinned(note);
+    if (pinned) {
+      await note.unsetFlag('dnd5e-sheet-notes', PINNED_FLAG);
+    } else {
+      await note.setFlag('dnd5e-sheet-notes', PINNED_FLAG, true);
+    }
+
+    const action = pinned ? 'unpinned from' : 'pinned to';
+    ui.notifications.info(`Note "${note.name}" ${action} the sheet`);
+  }
 }
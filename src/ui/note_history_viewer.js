@@ -0,0 +1,118 @@
+/**
+ * A window listing a note's earlier versions, comparing one with the current text side by side
+ * @extends {ApplicationV2}
+ */
+import { diffRevisions, restoreRevision } from '../history/note_history';
+import { formatRealTime } from '../sessions/timestamps';
+
+export class NoteHistoryViewer extends foundry.applications.api
+  .HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {Item} note - The note whose history is shown
+   */
+  constructor(note) {
+    super({ id: `dnd5e-sheet-notes-history-${note.uuid.replaceAll('.', '-')}` });
+    this.note = note;
+    this.selected = null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ['dnd5e-sheet-notes', 'note-history', 'dnd5e2'],
+    position: {
+      width: 760,
+      height: 520
+    },
+    window: {
+      icon: 'fas fa-clock-rotate-left',
+      resizable: true
+    },
+    actions: {
+      selectRevision: NoteHistoryViewer.#onSelect,
+      restoreRevision: NoteHistoryViewer.#onRestore
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    history: {
+      template: 'modules/dnd5e-sheet-notes/templates/note_history.hbs'
+    }
+  };
+
+  /** @override */
+  get title() {
+    return game.i18n.format('dnd5e-sheet-notes.history.title', { name: this.note.name });
+  }
+
+  /** @override */
+  async _prepareContext(_options) {
+    const history = [...this.note.system.history].reverse();
+    if (!history.some(revision => revision.id === this.selected)) {
+      this.selected = history[0]?.id ?? null;
+    }
+
+    const revision = history.find(r => r.id === this.selected);
+    const rows = revision ? diffRevisions(revision.content, this.note.system.description.value) : [];
+
+    return {
+      revisions: history.map(r => ({
+        id: r.id,
+        date: r.time === null ? '' : formatRealTime(r.time, { time: true }),
+        author: game.users.get(r.user)?.name ?? game.i18n.localize('dnd5e-sheet-notes.history.unknown-user'),
+        selected: r.id === this.selected
+      })),
+      revision,
+      rows,
+      unchanged: rows.every(row => row.type === 'same'),
+      canRestore: this.note.isOwner
+    };
+  }
+
+  /** @override */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+    // Refresh when the note changes, as its own sheet does
+    this.note.apps[this.id] = this;
+  }
+
+  /** @override */
+  _onClose(options) {
+    super._onClose(options);
+    delete this.note.apps[this.id];
+  }
+
+  /**
+   * Compare a different revision with the current text
+   * @this {NoteHistoryViewer}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked revision
+   */
+  static #onSelect(event, target) {
+    this.selected = target.closest('[data-revision-id]').dataset.revisionId;
+    this.render();
+  }
+
+  /**
+   * Replace the note's text with the selected revision after confirmation
+   * @this {NoteHistoryViewer}
+   */
+  static async #onRestore() {
+    const revision = this.note.system.history.find(r => r.id === this.selected);
+    if (!revision) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize('dnd5e-sheet-notes.history.restore')
+      },
+      content: `<p>${game.i18n.format('dnd5e-sheet-notes.history.restore-confirm', {
+        date: formatRealTime(revision.time, { time: true })
+      })}</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    await restoreRevision(this.note, revision.id);
+    ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.history.restored', { name: this.note.name }));
+  }
+}
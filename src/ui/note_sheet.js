@@ -1,3 +1,11 @@
+import {
+  CLOCK_SEGMENTS, NOTE_VARIANTS, NOTE_VISIBILITY, NoteModel, QUEST_STATUSES, RECOVERY_PERIODS, RELATIONSHIP_ATTITUDES,
+  TRACKER_TYPES
+} from '../models/note_model.js';
+import { unlinkJournal } from '../transfer/journal.js';
+import { getBacklinks } from '../links/note_links.js';
+import { NoteHistoryViewer } from './note_history_viewer.js';
+
 /**
  * Custom item sheet for Note items extending D&D 5e ItemSheet5e2
  */
@@ -22,4 +30,193 @@ export class NoteSheet extends dnd5e.applications.item.ItemSheet5e2 {
   get template() {
     return 'modules/dnd5e-sheet-notes/templates/note_sheet.hbs';
   }
+
+  /** @override */
+  async getData(options = {}) {
+    const context = await super.getData(options);
+
+    context.visibilityOptions = {
+      [NOTE_VISIBILITY.PUBLIC]: 'dnd5e-sheet-notes.visibility.public',
+      [NOTE_VISIBILITY.OWNER]: 'dnd5e-sheet-notes.visibility.owner'
+    };
+    if (game.user.isGM) {
+      context.visibilityOptions[NOTE_VISIBILITY.GM] = 'dnd5e-sheet-notes.visibility.gm';
+    }
+
+    context.tags = this.item.system.tags.join(', ');
+
+    context.variantOptions = {
+      [NOTE_VARIANTS.NOTE]: 'dnd5e-sheet-notes.variants.note',
+      [NOTE_VARIANTS.QUEST]: 'dnd5e-sheet-notes.variants.quest',
+      [NOTE_VARIANTS.RELATIONSHIP]: 'dnd5e-sheet-notes.variants.relationship'
+    };
+    if (this.item.system.isQuest) {
+      context.questStatuses = Object.fromEntries(Object.values(QUEST_STATUSES).map(status => [
+        status, `dnd5e-sheet-notes.quest.statuses.${status}`
+      ]));
+      if (this.item.system.quest.giver) {
+        context.questGiver = await TextEditor.enrichHTML(`@UUID[${this.item.system.quest.giver}]`);
+      }
+    }
+    if (this.item.system.isRelationship) {
+      context.attitudes = Object.fromEntries(Object.entries(RELATIONSHIP_ATTITUDES).map(([key, value]) => [
+        value, `dnd5e-sheet-notes.relationship.attitudes.${key.toLowerCase()}`
+      ]));
+      context.interactions = this.item.system.interactionLog;
+      if (this.item.system.relationship.actor) {
+        context.relationshipActor = await TextEditor.enrichHTML(`@UUID[${this.item.system.relationship.actor}]`);
+      }
+    }
+
+    context.tracker = this.item.system.tracker;
+    context.trackerTypes = {
+      [TRACKER_TYPES.NONE]: 'dnd5e-sheet-notes.tracker.types.none',
+      [TRACKER_TYPES.COUNTER]: 'dnd5e-sheet-notes.tracker.types.counter',
+      [TRACKER_TYPES.CLOCK]: 'dnd5e-sheet-notes.tracker.types.clock',
+      [TRACKER_TYPES.CHECKLIST]: 'dnd5e-sheet-notes.tracker.types.checklist'
+    };
+    if (this.item.system.isLinked) {
+      context.journalLink = await TextEditor.enrichHTML(`@UUID[${this.item.system.journal.uuid}]`);
+    }
+
+    context.backlinks = getBacklinks(this.item)
+      .map(note => note.toAnchor({ icon: 'fas fa-note-sticky' }).outerHTML);
+
+    context.clockSegments = Object.fromEntries(CLOCK_SEGMENTS.map(segments => [segments, segments]));
+    context.recoveryPeriods = {
+      [RECOVERY_PERIODS.NONE]: 'dnd5e-sheet-notes.tracker.recovery.periods.none',
+      [RECOVERY_PERIODS.SHORT_REST]: 'dnd5e-sheet-notes.tracker.recovery.periods.sr',
+      [RECOVERY_PERIODS.LONG_REST]: 'dnd5e-sheet-notes.tracker.recovery.periods.lr',
+      [RECOVERY_PERIODS.DAWN]: 'dnd5e-sheet-notes.tracker.recovery.periods.dawn'
+    };
+
+    return context;
+  }
+
+  /** @override */
+  _getHeaderButtons() {
+    const buttons = super._getHeaderButtons();
+
+    // Earlier versions include secret sections, which only owners may read
+    if (!this.item.isOwner) return buttons;
+
+    buttons.unshift({
+      label: 'dnd5e-sheet-notes.history.label',
+      class: 'note-history',
+      icon: 'fas fa-clock-rotate-left',
+      onclick: () => new NoteHistoryViewer(this.item).render(true)
+    });
+    return buttons;
+  }
+
+  /** @override */
+  _getSubmitData(updateData = {}) {
+    const data = super._getSubmitData(updateData);
+    if ('system.tags' in data) {
+      data['system.tags'] = NoteModel.normalizeTags(data['system.tags']);
+    }
+    return data;
+  }
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    if (!this.isEditable) return;
+
+    const el = html[0] || html;
+    el.querySelectorAll('.note-clock [data-action="toggle-clock-segment"]').forEach(segment => {
+      segment.addEventListener('click', async event => {
+        event.preventDefault();
+        await this.item.system.toggleClockSegment(Number(event.currentTarget.dataset.segment));
+      });
+    });
+
+    el.querySelector('[data-action="unlink-journal"]')?.addEventListener('click', async event => {
+      event.preventDefault();
+      await unlinkJournal(this.item);
+    });
+
+    el.querySelectorAll('[data-action="add-checklist-item"]').forEach(button => {
+      button.addEventListener('click', async event => {
+        event.preventDefault();
+        await this.item.system.addChecklistItem('', event.currentTarget.dataset.list);
+      });
+    });
+
+    el.querySelectorAll('.actor-drop-target').forEach(target => {
+      target.addEventListener('dragover', event => event.preventDefault());
+      target.addEventListener('drop', this.#onDropActor.bind(this));
+    });
+
+    el.querySelectorAll('[data-action="clear-actor"]').forEach(control => {
+      control.addEventListener('click', async event => {
+        event.preventDefault();
+        await this.item.update({ [event.currentTarget.dataset.field]: '' });
+      });
+    });
+
+    const newInteraction = el.querySelector('.interaction-new input');
+    const addInteraction = async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      await this.item.system.addInteraction(newInteraction.value.trim());
+    };
+    el.querySelector('[data-action="add-interaction"]')?.addEventListener('click', addInteraction);
+    newInteraction?.addEventListener('change', event => event.stopPropagation());
+    newInteraction?.addEventListener('keydown', event => {
+      if (event.key === 'Enter') addInteraction(event);
+    });
+
+    el.querySelectorAll('.note-interactions [data-action]').forEach(control => {
+      const eventType = control.tagName === 'INPUT' ? 'change' : 'click';
+      control.addEventListener(eventType, async event => {
+        event.preventDefault();
+        event.stopPropagation();
+        const id = event.currentTarget.closest('[data-interaction-id]').dataset.interactionId;
+
+        if (event.currentTarget.dataset.action === 'edit-interaction') {
+          return this.item.system.updateInteraction(id, { text: event.currentTarget.value });
+        }
+        return this.item.system.removeInteraction(id);
+      });
+    });
+
+    el.querySelectorAll('.note-checklist [data-action]').forEach(control => {
+      const eventType = control.tagName === 'INPUT' ? 'change' : 'click';
+      control.addEventListener(eventType, async event => {
+        event.preventDefault();
+        event.stopPropagation();
+        const entryId = event.currentTarget.closest('[data-entry-id]').dataset.entryId;
+        const list = event.currentTarget.closest('[data-list]').dataset.list;
+        const system = this.item.system;
+
+        switch (event.currentTarget.dataset.action) {
+          case 'toggle-checklist-item':
+            return system.toggleChecklistItem(entryId, list);
+          case 'edit-checklist-item':
+            return system.updateChecklistItem(entryId, { text: event.currentTarget.value }, list);
+          case 'move-checklist-item':
+            return system.moveChecklistItem(entryId, Number(event.currentTarget.dataset.offset), list);
+          case 'remove-checklist-item':
+            return system.removeChecklistItem(entryId, list);
+        }
+      });
+    });
+  }
+
+  /**
+   * Store the UUID of an actor dropped onto an actor field, such as a quest's giver or a relationship's NPC
+   * @param {DragEvent} event - The drop event
+   */
+  async #onDropActor(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const data = TextEditor.getDragEventData(event);
+    if (data.type !== 'Actor' || !data.uuid) {
+      ui.notifications.warn(game.i18n.localize('dnd5e-sheet-notes.variants.errors.not-actor'));
+      return;
+    }
+    await this.item.update({ [event.currentTarget.dataset.dropField]: data.uuid });
+  }
 }
@@ -0,0 +1,161 @@
+/**
+ * An editor for creating and editing note templates
+ * @extends {ApplicationV2}
+ */
+import { NoteTemplate } from '../entities/note_template';
+import { CLOCK_SEGMENTS, NOTE_VARIANTS, NoteModel, TRACKER_TYPES } from '../models/note_model';
+
+export class NoteTemplateEditor extends foundry.applications.api
+  .HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {NoteTemplate} [template] - The template to edit (if provided, editor is in edit mode)
+   */
+  constructor(template = null) {
+    super({ id: `dnd5e-sheet-notes-template-editor-${template?.id ?? 'new'}` });
+    this.template = template;
+    this.isEditMode = !!template;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    tag: 'form',
+    classes: ['dnd5e-sheet-notes', 'template-editor', 'dnd5e2'],
+    position: {
+      width: 520,
+      height: 'auto'
+    },
+    window: {
+      icon: 'fas fa-file-lines',
+      resizable: true
+    },
+    form: {
+      handler: NoteTemplateEditor.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: true
+    },
+    actions: {
+      browseImage: NoteTemplateEditor.#onBrowseImage
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    form: {
+      template: 'modules/dnd5e-sheet-notes/templates/note_template_editor.hbs'
+    }
+  };
+
+  /** @override */
+  get title() {
+    const key = this.isEditMode ? 'edit' : 'create';
+    return game.i18n.localize(`dnd5e-sheet-notes.templates.editor.${key}`);
+  }
+
+  /** @override */
+  async _prepareContext(_options) {
+    const template = this.template ?? new NoteTemplate();
+    const tracker = new NoteModel(template.getSystemData('')).tracker;
+
+    return {
+      isEditMode: this.isEditMode,
+      template,
+      tags: template.tags.join(', '),
+      checklist: template.checklist.join('\n'),
+      variantOptions: {
+        [NOTE_VARIANTS.NOTE]: 'dnd5e-sheet-notes.variants.note',
+        [NOTE_VARIANTS.QUEST]: 'dnd5e-sheet-notes.variants.quest',
+        [NOTE_VARIANTS.RELATIONSHIP]: 'dnd5e-sheet-notes.variants.relationship'
+      },
+      tracker,
+      trackerTypes: {
+        [TRACKER_TYPES.NONE]: 'dnd5e-sheet-notes.tracker.types.none',
+        [TRACKER_TYPES.COUNTER]: 'dnd5e-sheet-notes.tracker.types.counter',
+        [TRACKER_TYPES.CLOCK]: 'dnd5e-sheet-notes.tracker.types.clock',
+        [TRACKER_TYPES.CHECKLIST]: 'dnd5e-sheet-notes.tracker.types.checklist'
+      },
+      clockSegments: Object.fromEntries(CLOCK_SEGMENTS.map(segments => [segments, segments]))
+    };
+  }
+
+  /** @override */
+  _onRender(context, options) {
+    super._onRender(context, options);
+
+    // Only show the settings for the chosen tracker type, and the checklist for quests' objectives too
+    const typeSelect = this.element.querySelector('select[name="tracker.type"]');
+    const variantSelect = this.element.querySelector('select[name="variant"]');
+    const showTrackerFields = () => {
+      this.element.querySelectorAll('[data-tracker-fields]').forEach(group => {
+        group.hidden = (group.dataset.trackerFields !== typeSelect.value)
+          && (!group.dataset.variant || group.dataset.variant !== variantSelect?.value);
+      });
+    };
+    typeSelect?.addEventListener('change', showTrackerFields);
+    variantSelect?.addEventListener('change', showTrackerFields);
+    if (typeSelect) showTrackerFields();
+  }
+
+  /**
+   * Pick the template's note image
+   * @this {NoteTemplateEditor}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked control
+   */
+  static #onBrowseImage(event, target) {
+    const input = this.element.querySelector('input[name="img"]');
+    new FilePicker({
+      type: 'image',
+      current: input.value,
+      callback: path => {
+        input.value = path;
+        target.querySelector('img')?.setAttribute('src', path);
+      }
+    }).render(true);
+  }
+
+  /**
+   * Save the template
+   * @this {NoteTemplateEditor}
+   * @param {SubmitEvent} event - The submit event
+   * @param {HTMLFormElement} form - The form
+   * @param {FormDataExtended} formData - The submitted data
+   */
+  static async #onSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+    const tracker = { type: data.tracker?.type ?? TRACKER_TYPES.NONE };
+
+    if (tracker.type === TRACKER_TYPES.COUNTER) {
+      tracker.value = Number(data.tracker.value) || 0;
+      tracker.min = Number.isFinite(data.tracker.min) ? data.tracker.min : null;
+      tracker.max = Number.isFinite(data.tracker.max) ? data.tracker.max : null;
+      tracker.step = Number(data.tracker.step) || 1;
+    } else if (tracker.type === TRACKER_TYPES.CLOCK) {
+      tracker.segments = Number(data.tracker.segments);
+    }
+
+    const templateData = {
+      name: (data.name ?? '').trim(),
+      noteName: (data.noteName ?? '').trim(),
+      img: data.img,
+      category: (data.category ?? '').split('/').map(name => name.trim()).filter(Boolean).join('/'),
+      tags: NoteModel.normalizeTags(data.tags),
+      variant: data.variant ?? NOTE_VARIANTS.NOTE,
+      content: data.content ?? '',
+      tracker: tracker.type ? tracker : {},
+      checklist: (tracker.type === TRACKER_TYPES.CHECKLIST) || (data.variant === NOTE_VARIANTS.QUEST)
+        ? (data.checklist ?? '').split('\n').map(line => line.trim()).filter(Boolean)
+        : []
+    };
+
+    try {
+      if (this.isEditMode) {
+        await this.template.update(templateData);
+      } else {
+        await NoteTemplate.create(templateData);
+      }
+    } catch (error) {
+      ui.notifications.error(error.message);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * A settings menu listing the world's note templates, where GMs create, edit, export, and import them
+ * @extends {ApplicationV2}
+ */
+import { NoteTemplate } from '../entities/note_template';
+import { NoteTemplateEditor } from './note_template_editor';
+
+export class NoteTemplateManager extends foundry.applications.api
+  .HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: 'dnd5e-sheet-notes-template-manager',
+    classes: ['dnd5e-sheet-notes', 'template-manager', 'dnd5e2'],
+    position: {
+      width: 420,
+      height: 'auto'
+    },
+    window: {
+      title: 'dnd5e-sheet-notes.templates.manager.title',
+      icon: 'fas fa-file-lines',
+      resizable: true
+    },
+    actions: {
+      createTemplate: NoteTemplateManager.#onCreate,
+      editTemplate: NoteTemplateManager.#onEdit,
+      duplicateTemplate: NoteTemplateManager.#onDuplicate,
+      deleteTemplate: NoteTemplateManager.#onDelete,
+      exportTemplates: NoteTemplateManager.#onExport,
+      importTemplates: NoteTemplateManager.#onImport,
+      resetTemplates: NoteTemplateManager.#onReset
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    list: {
+      template: 'modules/dnd5e-sheet-notes/templates/note_template_manager.hbs'
+    }
+  };
+
+  /** @override */
+  async _prepareContext(_options) {
+    return {
+      templates: NoteTemplate.getAll()
+    };
+  }
+
+  /**
+   * Get the template a clicked control belongs to
+   * @param {HTMLElement} target - The clicked control
+   * @returns {NoteTemplate|null}
+   */
+  static #getTemplate(target) {
+    return NoteTemplate.get(target.closest('[data-template-id]')?.dataset.templateId);
+  }
+
+  /**
+   * Open the editor for a new template
+   * @this {NoteTemplateManager}
+   */
+  static #onCreate() {
+    new NoteTemplateEditor().render(true);
+  }
+
+  /**
+   * Open the editor for an existing template
+   * @this {NoteTemplateManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked control
+   */
+  static #onEdit(event, target) {
+    const template = NoteTemplateManager.#getTemplate(target);
+    if (template) new NoteTemplateEditor(template).render(true);
+  }
+
+  /**
+   * Copy a template
+   * @this {NoteTemplateManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked control
+   */
+  static async #onDuplicate(event, target) {
+    const template = NoteTemplateManager.#getTemplate(target);
+    if (!template) return;
+
+    try {
+      await NoteTemplate.create({
+        ...template.toObject(),
+        name: game.i18n.format('dnd5e-sheet-notes.templates.copy', { name: template.name }).slice(0, 50)
+      });
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  }
+
+  /**
+   * Delete a template after confirmation
+   * @this {NoteTemplateManager}
+   * @param {PointerEvent} event - The click event
+   * @param {HTMLElement} target - The clicked control
+   */
+  static async #onDelete(event, target) {
+    const template = NoteTemplateManager.#getTemplate(target);
+    if (!template) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.format('dnd5e-sheet-notes.templates.delete-title', { name: template.name })
+      },
+      content: `<p>${game.i18n.format('dnd5e-sheet-notes.templates.delete-confirm', { name: template.name })}</p>`,
+      rejectClose: false
+    });
+
+    if (confirmed) await template.delete();
+  }
+
+  /**
+   * Download every template as a JSON file
+   * @this {NoteTemplateManager}
+   */
+  static #onExport() {
+    NoteTemplate.exportAll();
+  }
+
+  /**
+   * Load templates from an exported JSON file
+   * @this {NoteTemplateManager}
+   */
+  static async #onImport() {
+    const file = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize('dnd5e-sheet-notes.templates.import'),
+        icon: 'fas fa-file-import'
+      },
+      position: {
+        width: 400
+      },
+      content: await renderTemplate('modules/dnd5e-sheet-notes/templates/import_dialog.hbs', {
+        accept: '.json,application/json',
+        hint: 'dnd5e-sheet-notes.templates.hints.import'
+      }),
+      ok: {
+        label: game.i18n.localize('dnd5e-sheet-notes.transfer.import'),
+        icon: 'fas fa-file-import',
+        callback: (event, button) => button.form.elements.file.files[0]
+      },
+      rejectClose: false
+    });
+
+    if (!file) return;
+
+    try {
+      const count = await NoteTemplate.importAll(JSON.parse(await readTextFromFile(file)));
+      ui.notifications.info(game.i18n.format('dnd5e-sheet-notes.templates.imported', { count }));
+    } catch (error) {
+      ui.notifications.error(game.i18n.format('dnd5e-sheet-notes.transfer.errors.failed', { error: error.message }));
+    }
+  }
+
+  /**
+   * Replace every template with the built-in ones after confirmation
+   * @this {NoteTemplateManager}
+   */
+  static async #onReset() {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize('dnd5e-sheet-notes.templates.reset')
+      },
+      content: `<p>${game.i18n.localize('dnd5e-sheet-notes.templates.reset-confirm')}</p>`,
+      rejectClose: false
+    });
+
+    if (confirmed) await NoteTemplate.resetDefaults();
+  }
+}
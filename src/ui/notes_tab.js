@@ -4,21 +4,55 @@
  */
 
 import { CategoryEditor } from './category_editor';
-import { Category } from '../entities/category';
+import { Category, CATEGORY_ORDERING } from '../entities/category';
 import { NoteContextMenu } from './note_context_menu';
 import { runMigrations } from '../migrations/migrations.js';
+import { exportNotebook, promptImportNotebook } from '../transfer/notebook.js';
+import { exportCategoryMarkdown, promptImportMarkdown } from '../transfer/markdown.js';
+import { importFromJournal } from '../transfer/journal.js';
+import { getSearchIndex } from '../search/search_index.js';
+import { matchesFilters, parseQuery } from '../search/query.js';
+import { updateSearchHint } from './search_enhancement.js';
+import { NoteTemplate } from '../entities/note_template.js';
+import { NoteTemplateManager } from './note_template_manager.js';
+import { createSessionEntry } from '../sessions/session_log.js';
+import { compareChronologically, formatRealTime } from '../sessions/timestamps.js';
+import { addPinnedNotes } from './pinned_notes.js';
+import { activateBulkActions, getSelectedNoteIds, handleSelectionClick } from './bulk_actions.js';
+import {
+  deleteFromTrash, emptyTrash, getTrash, purgeExpiredTrash, restoreFromTrash, trashNote, TRASH_RETENTION_SETTING,
+  TRASH_TYPES
+} from '../trash/trash.js';
 
 const SHEET_MODES = {
   PLAY: 1,
   EDIT: 2
 };
 
+const CATEGORY_DRAG_TYPE = 'dnd5e-sheet-notes.Category';
+
+/**
+ * Prefix distinguishing tag filters from other filters in the notes item-list-controls
+ */
+const TAG_FILTER_PREFIX = 'tag:';
+
+/**
+ * Filter in the notes item-list-controls that hides completed quests
+ */
+const HIDE_COMPLETED_FILTER = 'quest:hide-completed';
+
 /**
  * Initialize the notes tab feature
  */
 export function initializeNotesTab() {
   loadTemplates([
-    'modules/dnd5e-sheet-notes/templates/partials/note_item.hbs'
+    'modules/dnd5e-sheet-notes/templates/partials/category_section.hbs',
+    'modules/dnd5e-sheet-notes/templates/partials/note_item.hbs',
+    'modules/dnd5e-sheet-notes/templates/partials/note_tracker.hbs',
+    'modules/dnd5e-sheet-notes/templates/partials/note_checklist.hbs',
+    'modules/dnd5e-sheet-notes/templates/partials/note_quest.hbs',
+    'modules/dnd5e-sheet-notes/templates/partials/note_relationship.hbs',
+    'modules/dnd5e-sheet-notes/templates/partials/note_clock.hbs'
   ]);
 
   Hooks.on('renderActorSheet5eCharacter2', addNotes);
@@ -36,11 +70,6 @@ async function addNotes(app, html, _data) {
 
   const root = el.closest('.app') || el.querySelector('.app') || el;
 
-  if (!app.isEditable) {
-    return;
-  }
-
-
   // Initialize filter state for notes
   if (!app._filters) {
     app._filters = {};
@@ -49,7 +78,12 @@ async function addNotes(app, html, _data) {
     app._filters.notes = { name: '', properties: new Set() };
   }
 
-  app._notesContentMatches = new Set();
+  app._notesSearchResults = null;
+  app._notesQueryErrors = [];
+
+  if (!app._notesExpandedChecklists) {
+    app._notesExpandedChecklists = new Set();
+  }
 
   if (!app._originalFilterChildren && app._filterChildren) {
     app._originalFilterChildren = app._filterChildren;
@@ -60,32 +94,51 @@ async function addNotes(app, html, _data) {
       return app._originalFilterChildren ? app._originalFilterChildren.call(this, collection, properties) : null;
     }
 
-    const allNotes = this.actor.items.filter(item => item.type === 'dnd5e-sheet-notes.note');
-    const searchTerm = this._filters.notes.name.toLowerCase();
-
-    this._notesContentMatches.clear();
-
-    if (searchTerm) {
-      allNotes.forEach(note => {
-        if (note.system.description?.value) {
-          const tempDiv = document.createElement('div');
-          tempDiv.innerHTML = note.system.description.value;
-          const contentText = (tempDiv.textContent || tempDiv.innerText || '').toLowerCase();
-          if (contentText.includes(searchTerm)) {
-            this._notesContentMatches.add(note.id);
-          }
-        }
-      });
+    const filters = properties ?? this._filters.notes.properties;
+    const tags = getSelectedTags(filters);
+    const hideCompleted = Array.from(filters ?? []).includes(HIDE_COMPLETED_FILTER);
+    const allNotes = this.actor.items.filter(item =>
+      item.type === 'dnd5e-sheet-notes.note' && item.system.isVisibleTo(game.user) && item.system.hasTags(tags)
+      && !(hideCompleted && item.system.isQuestCompleted)
+    );
+    const query = parseQuery(this._filters.notes.name);
+    this._notesQueryErrors = query.errors;
+
+    if (query.isEmpty) {
+      this._notesSearchResults = null;
+      return allNotes;
     }
 
+    const index = getSearchIndex(this.actor);
+    const context = {
+      categories: this.actor.getFlag('dnd5e-sheet-notes', 'categories') || [],
+      isEmpty: note => index.isEmpty(note)
+    };
+    const candidates = allNotes.filter(note => matchesFilters(note, query, context));
+    this._notesSearchResults = index.search(candidates, query);
+
     return allNotes;
   };
 
   await addNotesContent(app, root);
+  await addPinnedNotes(app, root);
 
   addNotesTab(root);
 
-  addNotesButtons(app, root);
+  if (app.isEditable) {
+    addNotesButtons(app, root);
+  }
+}
+
+/**
+ * Get the tags selected in the notes filter dropdown
+ * @param {Set<string>} [properties] - The active filters
+ * @returns {Array<string>} The selected tags
+ */
+function getSelectedTags(properties) {
+  return Array.from(properties ?? [])
+    .filter(filter => filter.startsWith(TAG_FILTER_PREFIX))
+    .map(filter => filter.slice(TAG_FILTER_PREFIX.length));
 }
 
 /**
@@ -104,9 +157,21 @@ async function addNotesContent(app, el) {
   if (!notesContent) {
     const active = app._tabs?.[0]?.active === 'notes';
 
-    await runMigrations(app.actor);
+    if (app.isEditable) {
+      await runMigrations(app.actor);
+      await purgeExpiredTrash(app.actor);
+    }
+
+    const templateData = await getNotesTabData(app.actor, active, app._mode, app.isEditable);
+    templateData.trashExpanded = !!app._notesTrashExpanded;
 
-    const templateData = await getNotesTabData(app.actor, active, app._mode);
+    // Forget selected filters that are no longer offered, since they could not be deselected from the dropdown
+    const offered = new Set(templateData.filters.map(filter => filter.value));
+    for (const filter of app._filters.notes.properties) {
+      if (!offered.has(filter)) {
+        app._filters.notes.properties.delete(filter);
+      }
+    }
 
     const notesHtml = await renderTemplate('modules/dnd5e-sheet-notes/templates/notes_tab.hbs', templateData);
 
@@ -147,15 +212,25 @@ function addNotesTab(el) {
  * @param {Actor} actor - The actor
  * @param {boolean} active - Whether the notes tab is currently active
  * @param {number} mode - The sheet mode (1 = play, 2 = edit)
+ * @param {boolean} owner - Whether the current user can modify the actor's notes
  * @returns {Object} Template data
  */
-async function getNotesTabData(actor, active, mode) {
-  await Category.ensureDefault(actor);
+async function getNotesTabData(actor, active, mode, owner) {
+  if (owner) {
+    await Category.ensureDefault(actor);
+  }
   let categories = actor.getFlag('dnd5e-sheet-notes', 'categories') || [];
 
-  categories.sort((a, b) => a.name.localeCompare(b.name));
+  // Viewers cannot create the default category, so show unmigrated notes under a transient one
+  if (!owner && !categories.some(c => c.name === 'Notes')) {
+    categories = [...categories, new Category({ name: 'Notes' }).toObject()];
+  }
+
+  Category.sortCategories(categories, Category.getOrdering(actor));
 
-  const allNotes = actor.items.filter(item => item.type === 'dnd5e-sheet-notes.note');
+  const allNotes = actor.items.filter(item =>
+    item.type === 'dnd5e-sheet-notes.note' && item.system.isVisibleTo(game.user)
+  );
 
   const categoryData = categories.map(category => {
     const categoryNotes = allNotes.filter(note => {
@@ -166,16 +241,15 @@ async function getNotesTabData(actor, active, mode) {
       return noteCategory === category.key;
     });
 
-    const notes = categoryNotes.sort((a, b) => {
-      if (category.ordering === 0) { // ALPHABETICAL
-        return a.name.localeCompare(b.name);
-      }
-      return (a.sort || 0) - (b.sort || 0);
-    });
+    const notes = sortCategoryNotes(categoryNotes, category.ordering);
 
     return {
       ...category,
       isDefault: category.name === 'Notes',
+      iconIsImage: Category.isImagePath(category.icon),
+      // Tooltips are rendered as HTML, so the description is escaped once more than the attribute alone would be
+      descriptionTooltip: Handlebars.escapeExpression(category.description ?? ''),
+      timeline: category.ordering === CATEGORY_ORDERING.CHRONOLOGICAL,
       notes,
       noteCount: notes.length,
       active: active || false,
@@ -183,12 +257,111 @@ async function getNotesTabData(actor, active, mode) {
   });
 
   return {
-    categories: categoryData,
+    categories: buildCategoryTree(categoryData),
+    filters: getFilterOptions(allNotes),
+    trash: owner ? getTrashData(actor) : [],
     active: active || false,
-    editable: mode === SHEET_MODES.EDIT
+    owner,
+    editable: owner && mode === SHEET_MODES.EDIT
   };
 }
 
+/**
+ * Build the Trash section entries
+ * @param {Actor} actor - The actor
+ * @returns {Array<Object>} Trash entries with their icon and deletion date
+ */
+function getTrashData(actor) {
+  return getTrash(actor).map(entry => ({
+    id: entry.id,
+    name: entry.name,
+    icon: entry.type === TRASH_TYPES.CATEGORY ? 'fas fa-folder' : 'fas fa-note-sticky',
+    img: entry.data?.img,
+    deleted: formatRealTime(entry.time),
+    daysLeft: entry.daysLeft
+  }));
+}
+
+/**
+ * Build the notes filter options: hiding completed quests when there are any quests, then every tag on the notes
+ * @param {Array<Item>} notes - The notes
+ * @returns {Array<{value: string, label: string}>} Filter options, with tags sorted
+ */
+function getFilterOptions(notes) {
+  const options = [];
+  if (notes.some(note => note.system.isQuest)) {
+    options.push({
+      value: HIDE_COMPLETED_FILTER,
+      label: game.i18n.localize('dnd5e-sheet-notes.quest.hide-completed')
+    });
+  }
+  return options.concat(getTagFilters(notes));
+}
+
+/**
+ * Build the tag filter options for every tag on the given notes
+ * @param {Array<Item>} notes - The notes
+ * @returns {Array<{value: string, label: string}>} Filter options, sorted by tag
+ */
+function getTagFilters(notes) {
+  const tags = new Map();
+  for (const note of notes) {
+    for (const tag of note.system.tags) {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }
+  }
+
+  return Array.from(tags.values())
+    .sort((a, b) => a.localeCompare(b, game.i18n.lang))
+    .map(tag => ({ value: `${TAG_FILTER_PREFIX}${tag}`, label: tag }));
+}
+
+/**
+ * Sort notes in the order their category displays them
+ * @param {Array<Item>} notes - The notes in a single category
+ * @param {number} ordering - The category's ordering mode
+ * @returns {Array<Item>} The sorted notes
+ */
+function sortCategoryNotes(notes, ordering) {
+  return notes.sort((a, b) => {
+    if (ordering === CATEGORY_ORDERING.ALPHABETICAL) {
+      return a.name.localeCompare(b.name);
+    }
+    if (ordering === CATEGORY_ORDERING.CHRONOLOGICAL) {
+      return compareChronologically(a, b);
+    }
+    return (a.sort || 0) - (b.sort || 0);
+  });
+}
+
+/**
+ * Nest category template data beneath their parents
+ * @param {Array<Object>} categoryData - Flat, sorted category template data
+ * @returns {Array<Object>} Top-level categories, each with a `children` array
+ */
+function buildCategoryTree(categoryData) {
+  const byKey = new Map(categoryData.map(category => [category.key, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const category of byKey.values()) {
+    const parent = category.parent && byKey.get(category.parent);
+    if (parent) {
+      parent.children.push(category);
+    } else {
+      roots.push(category);
+    }
+  }
+
+  const countNotes = category => {
+    category.totalNoteCount = category.noteCount
+      + category.children.reduce((total, child) => total + countNotes(child), 0);
+    return category.totalNoteCount;
+  };
+  roots.forEach(countNotes);
+
+  return roots;
+}
+
 /**
  * Activate event listeners for the notes tab
  * @param {Actor} actor - The actor
@@ -198,12 +371,51 @@ async function getNotesTabData(actor, active, mode) {
 function activateNotesListeners(actor, app, container) {
   NoteContextMenu.initialize(container, app);
 
+  updateSearchHint(container.querySelector('item-list-controls[for="notes"]'), app._notesQueryErrors);
+
   container.querySelector('.add-category')?.addEventListener('click', async event => {
     event.preventDefault();
     CategoryEditor.show(actor);
   });
 
-  container.querySelectorAll('.items-section.collapsible .items-header').forEach(header => {
+  container.querySelector('[data-action="export-notes"]')?.addEventListener('click', event => {
+    event.preventDefault();
+    exportNotebook(actor);
+  });
+
+  container.querySelector('[data-action="import-notes"]')?.addEventListener('click', async event => {
+    event.preventDefault();
+    await promptImportNotebook(actor);
+  });
+
+  container.querySelector('[data-action="new-session"]')?.addEventListener('click', async event => {
+    event.preventDefault();
+    try {
+      const note = await createSessionEntry(actor);
+      note?.sheet.render(true);
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+  });
+
+  container.querySelector('[data-action="import-markdown"]')?.addEventListener('click', async event => {
+    event.preventDefault();
+    await promptImportMarkdown(actor);
+  });
+
+  container.querySelectorAll('.item-control[data-action="export-category"]').forEach(link => {
+    link.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      try {
+        await exportCategoryMarkdown(actor, event.currentTarget.dataset.categoryId);
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    });
+  });
+
+  container.querySelectorAll('.items-section.collapsible[data-category-id] .items-header').forEach(header => {
     header.addEventListener('click', async event => {
       if (event.target.closest('.item-controls')) return;
 
@@ -211,6 +423,12 @@ function activateNotesListeners(actor, app, container) {
       const categoryElement = event.currentTarget.closest('.items-section');
       const categoryId = categoryElement.dataset.categoryId;
 
+      // Viewers cannot persist the collapsed state, so only toggle it locally
+      if (!app.isEditable) {
+        categoryElement.classList.toggle('collapsed');
+        return;
+      }
+
       try {
         const category = Category.fromActor(actor, categoryId);
         if (category) {
@@ -243,6 +461,39 @@ function activateNotesListeners(actor, app, container) {
       if (!category) return;
 
       try {
+        if (category.hasChildren()) {
+          const choice = await foundry.applications.api.DialogV2.wait({
+            window: {
+              title: game.i18n.localize('dnd5e-sheet-notes.category.delete'),
+              icon: 'fas fa-trash'
+            },
+            position: {
+              width: 400
+            },
+            content: game.i18n.format('dnd5e-sheet-notes.category.confirm-delete-children', { name: category.name }),
+            buttons: [{
+              action: 'promote',
+              label: game.i18n.localize('dnd5e-sheet-notes.category.children.promote'),
+              icon: 'fas fa-level-up-alt',
+              default: true
+            }, {
+              action: 'delete',
+              label: game.i18n.localize('dnd5e-sheet-notes.category.children.delete'),
+              icon: 'fas fa-trash'
+            }, {
+              action: 'cancel',
+              label: game.i18n.localize('dnd5e-sheet-notes.common.cancel'),
+              icon: 'fas fa-times'
+            }],
+            rejectClose: false
+          });
+
+          if (choice === 'promote' || choice === 'delete') {
+            await category.delete({ deleteChildren: choice === 'delete' });
+          }
+          return;
+        }
+
         const confirm = await foundry.applications.api.DialogV2.confirm({
           window: {
             title: game.i18n.localize('dnd5e-sheet-notes.category.delete'),
@@ -277,11 +528,30 @@ function activateNotesListeners(actor, app, container) {
     link.addEventListener('click', async event => {
       event.preventDefault();
       event.stopPropagation();
+      if (app.isEditable && handleSelectionClick(app, container, event)) return;
+
       const noteId = event.currentTarget.closest('[data-note-key]').dataset.noteKey;
       const note = actor.items.get(noteId);
-      if (note) {
+      if (!note) return;
+
+      if (app.isEditable) {
         note.sheet.render(true);
+      } else {
+        NoteContextMenu.viewNote(note);
+      }
+    });
+  });
+
+  container.querySelectorAll('[data-action="open-relationship-actor"]').forEach(link => {
+    link.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const npc = await fromUuid(event.currentTarget.dataset.uuid);
+      if (!npc) {
+        ui.notifications.warn(game.i18n.localize('dnd5e-sheet-notes.relationship.errors.missing-actor'));
+        return;
       }
+      npc.sheet.render(true);
     });
   });
 
@@ -314,7 +584,10 @@ function activateNotesListeners(actor, app, container) {
           position: {
             width: 400
           },
-          content: `Are you sure you want to delete the note "${note.name}"?`,
+          content: game.i18n.format('dnd5e-sheet-notes.trash.confirm-note', {
+            name: note.name,
+            days: game.settings.get('dnd5e-sheet-notes', TRASH_RETENTION_SETTING)
+          }),
           yes: {
             label: 'Yes',
             icon: 'fas fa-check'
@@ -326,7 +599,7 @@ function activateNotesListeners(actor, app, container) {
         });
 
         if (confirm) {
-          await note.delete();
+          await trashNote(note);
         }
       } catch (error) {
         if (error.message !== 'Dialog was dismissed without pressing a button.') {
@@ -336,7 +609,139 @@ function activateNotesListeners(actor, app, container) {
     });
   });
 
-  setupNoteDragDrop(app, container);
+  container.querySelectorAll('.item-control[data-action="increment-tracker"], .item-control[data-action="decrement-tracker"]').forEach(link => {
+    link.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const noteId = event.currentTarget.dataset.noteKey;
+      const note = actor.items.get(noteId);
+      if (!note) return;
+
+      const steps = event.currentTarget.dataset.action === 'increment-tracker' ? 1 : -1;
+      try {
+        await note.system.adjustCounter(steps);
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    });
+  });
+
+  container.querySelectorAll('.note-clock [data-action="toggle-clock-segment"]').forEach(segment => {
+    segment.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const noteId = event.currentTarget.dataset.noteKey;
+      const note = actor.items.get(noteId);
+      if (!note) return;
+
+      try {
+        await note.system.toggleClockSegment(Number(event.currentTarget.dataset.segment));
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    });
+  });
+
+  container.querySelectorAll('.item-control[data-action="expand-checklist"]').forEach(link => {
+    const noteItem = link.closest('.item[data-note-key]');
+    const noteId = link.dataset.noteKey;
+    noteItem.classList.toggle('expanded', app._notesExpandedChecklists.has(noteId));
+
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const expanded = noteItem.classList.toggle('expanded');
+      if (expanded) {
+        app._notesExpandedChecklists.add(noteId);
+      } else {
+        app._notesExpandedChecklists.delete(noteId);
+      }
+    });
+  });
+
+  container.querySelectorAll('.note-checklist-inline input[data-action="toggle-checklist-item"]').forEach(input => {
+    input.addEventListener('change', async event => {
+      event.stopPropagation();
+      const { noteKey, entryId } = event.currentTarget.dataset;
+      const note = actor.items.get(noteKey);
+      if (!note) return;
+
+      try {
+        await note.system.toggleChecklistItem(entryId);
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    });
+  });
+
+  activateTrashListeners(actor, app, container);
+
+  if (app.isEditable) {
+    activateBulkActions(app, container);
+    setupNoteDragDrop(app, container);
+  }
+}
+
+/**
+ * Activate the controls in the Trash section
+ * @param {Actor} actor - The actor
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} container - The notes tab container
+ */
+function activateTrashListeners(actor, app, container) {
+  const section = container.querySelector('.notes-trash');
+  if (!section) return;
+
+  section.querySelector('.items-header').addEventListener('click', event => {
+    if (event.target.closest('.item-controls')) return;
+    event.preventDefault();
+    app._notesTrashExpanded = !section.classList.toggle('collapsed');
+  });
+
+  section.querySelectorAll('[data-action="restore-trash"]').forEach(link => {
+    link.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      try {
+        await restoreFromTrash(actor, event.currentTarget.closest('[data-trash-id]').dataset.trashId);
+      } catch (error) {
+        ui.notifications.error(error.message);
+      }
+    });
+  });
+
+  section.querySelectorAll('[data-action="delete-trash"]').forEach(link => {
+    link.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const entry = event.currentTarget.closest('[data-trash-id]');
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: {
+          title: game.i18n.localize('dnd5e-sheet-notes.trash.delete'),
+          icon: 'fas fa-trash'
+        },
+        content: `<p>${game.i18n.format('dnd5e-sheet-notes.trash.confirm-delete', {
+          name: Handlebars.escapeExpression(entry.dataset.trashName)
+        })}</p>`,
+        rejectClose: false
+      });
+      if (confirmed) await deleteFromTrash(actor, entry.dataset.trashId);
+    });
+  });
+
+  section.querySelector('[data-action="empty-trash"]')?.addEventListener('click', async event => {
+    event.preventDefault();
+    event.stopPropagation();
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize('dnd5e-sheet-notes.trash.empty'),
+        icon: 'fas fa-trash'
+      },
+      content: `<p>${game.i18n.localize('dnd5e-sheet-notes.trash.confirm-empty')}</p>`,
+      rejectClose: false
+    });
+    if (confirmed) await emptyTrash(actor);
+  });
 }
 
 /**
@@ -363,30 +768,40 @@ function addNotesButtons(app, html) {
   addNoteBtn.className = 'gold-button create-child dnd5e-sheet-notes add-note';
   addNoteBtn.innerHTML = '<i class="fas fa-plus"></i>';
   addNoteBtn.title = 'Add Note';
-  addNoteBtn.addEventListener('click', async event => {
+  addNoteBtn.addEventListener('click', event => {
     event.preventDefault();
 
-    try {
-      const noteData = {
-        name: 'New Note',
-        type: 'dnd5e-sheet-notes.note',
-        img: 'icons/svg/book.svg',
-        system: {
-          description: {
-            value: ''
-          },
-          category: ''
-        }
-      };
-
-      const [note] = await app.actor.createEmbeddedDocuments('Item', [noteData]);
+    const templates = NoteTemplate.getAll();
+    if (!templates.length && !game.user.isGM) {
+      createNote(app.actor);
+      return;
+    }
 
-      if (note) {
-        note.sheet.render(true);
-      }
-    } catch (error) {
-      ui.notifications.error(`Failed to create note: ${error.message}`);
+    // Keep the document click handler from closing the menu straight away
+    event.stopPropagation();
+
+    const entries = [
+      {
+        icon: 'fas fa-file fa-fw',
+        label: game.i18n.localize('dnd5e-sheet-notes.templates.blank'),
+        callback: () => createNote(app.actor)
+      },
+      ...templates.map(template => ({
+        icon: 'fas fa-file-lines fa-fw',
+        label: template.name,
+        callback: () => createNote(app.actor, template)
+      }))
+    ];
+
+    if (game.user.isGM) {
+      entries.push({
+        icon: 'fas fa-gear fa-fw',
+        label: game.i18n.localize('dnd5e-sheet-notes.templates.manage'),
+        callback: () => new NoteTemplateManager().render(true)
+      });
     }
+
+    NoteContextMenu.showMenu(event, entries);
   });
 
   const addCategoryBtn = document.createElement('button');
@@ -408,22 +823,56 @@ function addNotesButtons(app, html) {
   }
 }
 
+/**
+ * Create a note, blank or from a template, and open its sheet
+ * @param {Actor5e} actor - The actor to create the note on
+ * @param {NoteTemplate} [template] - The template to start from
+ */
+async function createNote(actor, template = null) {
+  try {
+    let note;
+    if (template) {
+      note = await template.createNote(actor);
+    } else {
+      const noteData = {
+        name: 'New Note',
+        type: 'dnd5e-sheet-notes.note',
+        img: 'icons/svg/book.svg',
+        system: {
+          description: {
+            value: ''
+          },
+          category: ''
+        }
+      };
+
+      [note] = await actor.createEmbeddedDocuments('Item', [noteData]);
+    }
+
+    if (note) {
+      note.sheet.render(true);
+    }
+  } catch (error) {
+    ui.notifications.error(`Failed to create note: ${error.message}`);
+  }
+}
 
 /**
- * Setup drag and drop for note items using Foundry's system
+ * Setup drag and drop for note items and category headers using Foundry's system
  * @param {ActorSheet5e} app - The sheet application
  * @param {HTMLElement} container - The notes tab container
  */
 function setupNoteDragDrop(app, container) {
   const dragDrop = new DragDrop({
-    dragSelector: '.item[data-item-id]',
-    dropSelector: '.items-section',
+    dragSelector: '.item[data-item-id], .items-header[data-category-id]',
+    dropSelector: '.notes-list',
     permissions: {
       dragstart: app._canDragStart.bind(app),
       drop: app._canDragDrop.bind(app)
     },
     callbacks: {
       dragstart: handleNoteDragStart.bind(null, app),
+      dragover: handleNoteDragOver.bind(null, app),
       drop: handleNoteDrop.bind(null, app)
     }
   });
@@ -432,34 +881,50 @@ function setupNoteDragDrop(app, container) {
 }
 
 /**
- * Handle drag start for note items
+ * Handle drag start for note items and category headers
  * @param {ActorSheet5e} app - The sheet application
  * @param {DragEvent} event - The drag start event
  */
 function handleNoteDragStart(app, event) {
   const li = event.currentTarget;
-  const itemId = li.dataset.itemId;
+  let dragData;
 
-  if (!itemId) return;
+  if (li.dataset.itemId) {
+    const item = app.actor.items.get(li.dataset.itemId);
+    if (!item || item.type !== 'dnd5e-sheet-notes.note') return;
+    dragData = item.toDragData();
 
-  const item = app.actor.items.get(itemId);
-  if (!item || item.type !== 'dnd5e-sheet-notes.note') return;
-
-  const dragData = item.toDragData();
+    // Dragging one of several selected notes carries the whole selection
+    if (app._notesSelection?.has(item.id) && (app._notesSelection.size > 1)) {
+      dragData.noteIds = getSelectedNoteIds(app, li.closest('.tab.dnd5e-sheet-notes'));
+    }
+  } else if (li.dataset.categoryId) {
+    dragData = {
+      type: CATEGORY_DRAG_TYPE,
+      actorUuid: app.actor.uuid,
+      key: li.dataset.categoryId
+    };
+  } else {
+    return;
+  }
 
   event.dataTransfer.setData('text/plain', JSON.stringify(dragData));
 
+  const draggingCategory = dragData.type === CATEGORY_DRAG_TYPE;
+
   setTimeout(() => {
     const notesTab = li.closest('.tab.dnd5e-sheet-notes');
     if (notesTab) {
       notesTab.classList.add('dragging-active');
+      notesTab.classList.toggle('dragging-category', draggingCategory);
     }
   }, 0);
 
   const cleanup = () => {
     const notesTab = li.closest('.tab.dnd5e-sheet-notes');
     if (notesTab) {
-      notesTab.classList.remove('dragging-active');
+      notesTab.classList.remove('dragging-active', 'dragging-category');
+      clearDropIndicators(notesTab);
     }
     li.removeEventListener('dragend', cleanup);
   };
@@ -468,7 +933,7 @@ function handleNoteDragStart(app, event) {
 }
 
 /**
- * Handle drop on category sections
+ * Handle drop on the notes list, moving notes into the innermost category section or re-parenting categories
  * @param {ActorSheet5e} app - The sheet application
  * @param {DragEvent} event - The drop event
  */
@@ -477,6 +942,16 @@ async function handleNoteDrop(app, event) {
 
   const data = TextEditor.getDragEventData(event);
 
+  if (data?.type === CATEGORY_DRAG_TYPE) {
+    event.stopPropagation();
+    return handleCategoryDrop(app, event, data);
+  }
+
+  if (data?.type === 'JournalEntryPage') {
+    event.stopPropagation();
+    return handleJournalPageDrop(app, event, data);
+  }
+
   if (!data || data.type !== 'Item') return;
 
   const item = await fromUuid(data.uuid);
@@ -484,22 +959,252 @@ async function handleNoteDrop(app, event) {
 
   if (item.parent?.id !== app.actor.id) return;
 
-  await Category.ensureDefault(app.actor);
+  const notes = (data.noteIds ?? [item.id]).map(id => app.actor.items.get(id)).filter(Boolean);
+  const noteIds = new Set(notes.map(note => note.id));
 
   const dropTarget = event.target.closest('.items-section');
   if (!dropTarget) return;
 
+  event.stopPropagation();
+
+  await Category.ensureDefault(app.actor);
+
   const targetCategoryId = dropTarget.dataset.categoryId;
 
   const categories = app.actor.getFlag('dnd5e-sheet-notes', 'categories') || [];
   const targetCategoryObj = categories.find(c => c.key === targetCategoryId);
   const targetCategory = (targetCategoryObj && targetCategoryObj.name === 'Notes') ? '' : targetCategoryId;
-  const currentCategory = item.system.category || '';
+  clearDropIndicators(event.currentTarget);
+
+  const targetNoteElement = event.target.closest('.item[data-item-id]');
+  const targetNote = targetNoteElement && app.actor.items.get(targetNoteElement.dataset.itemId);
+  // Chronological categories place notes by date, so a drop there only moves the note into the category
+  const positioned = targetCategoryObj?.ordering !== CATEGORY_ORDERING.CHRONOLOGICAL;
+  if (targetNote && !noteIds.has(targetNote.id) && targetCategoryObj && positioned) {
+    const manual = await ensureManualOrdering(app.actor, targetCategoryObj);
+    if (manual) {
+      const sortBefore = getDropPosition(event, targetNoteElement) === 'before';
+      return sortNotesRelativeTo(app.actor, notes, targetNote, targetCategory, targetCategoryObj.ordering, sortBefore);
+    }
+  }
+
+  const updates = notes
+    .filter(note => (note.system.category || '') !== targetCategory)
+    .map(note => ({ _id: note.id, 'system.category': targetCategory }));
+  if (!updates.length) return;
+
+  await app.actor.updateEmbeddedDocuments('Item', updates);
+}
+
+/**
+ * Handle a journal page being dropped, creating a linked note in the category it was dropped on
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {DragEvent} event - The drop event
+ * @param {Object} data - The drag data
+ */
+async function handleJournalPageDrop(app, event, data) {
+  clearDropIndicators(event.currentTarget);
+
+  const page = await fromUuid(data.uuid);
+  if (!page) return;
+
+  await Category.ensureDefault(app.actor);
+
+  const targetCategoryId = event.target.closest('.items-section')?.dataset.categoryId;
+  const categories = app.actor.getFlag('dnd5e-sheet-notes', 'categories') || [];
+  const targetCategoryObj = categories.find(c => c.key === targetCategoryId);
+  const targetCategory = (!targetCategoryObj || targetCategoryObj.name === 'Notes') ? '' : targetCategoryId;
+
+  try {
+    await importFromJournal(app.actor, page, targetCategory);
+  } catch (error) {
+    ui.notifications.error(error.message);
+  }
+}
 
-  if (currentCategory === targetCategory) return;
+/**
+ * Show where a dragged note or category will land when dropped above or below another one
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {DragEvent} event - The dragover event
+ */
+function handleNoteDragOver(app, event) {
+  const list = event.currentTarget;
+  const draggingCategory = list.closest('.tab.dnd5e-sheet-notes')?.classList.contains('dragging-category');
+
+  let targetElement = null;
+  if (!draggingCategory) {
+    targetElement = event.target.closest('.item-list:not(.timeline) > .item[data-item-id]');
+  } else if (Category.getOrdering(app.actor) === CATEGORY_ORDERING.MANUAL) {
+    targetElement = event.target.closest('.items-header[data-category-id]');
+  }
+  const position = targetElement ? getDropPosition(event, targetElement) : null;
+
+  list.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+    if (el !== targetElement) el.classList.remove('drop-before', 'drop-after');
+  });
+
+  if (targetElement) {
+    targetElement.classList.toggle('drop-before', position === 'before');
+    targetElement.classList.toggle('drop-after', position === 'after');
+  }
+}
+
+/**
+ * Determine whether the pointer is over the top or bottom half of a note row or category header
+ * @param {DragEvent} event - The drag event
+ * @param {HTMLElement} element - The note row or category header element
+ * @returns {string} Either "before" or "after"
+ */
+function getDropPosition(event, element) {
+  const rect = element.getBoundingClientRect();
+  return event.clientY < rect.top + (rect.height / 2) ? 'before' : 'after';
+}
+
+/**
+ * Remove any drop position indicators
+ * @param {HTMLElement} container - The element containing note rows and category headers
+ */
+function clearDropIndicators(container) {
+  container.querySelectorAll('.drop-before, .drop-after').forEach(el => {
+    el.classList.remove('drop-before', 'drop-after');
+  });
+}
+
+/**
+ * Make sure a category uses manual ordering before a note is positioned in it, offering to switch if it does not
+ * @param {Actor} actor - The actor that owns the category
+ * @param {Object} categoryData - The target category data
+ * @returns {Promise<boolean>} Whether the category is now manually ordered
+ */
+async function ensureManualOrdering(actor, categoryData) {
+  if (categoryData.ordering === CATEGORY_ORDERING.MANUAL) return true;
 
-  await item.update({
-    'system.category': targetCategory
+  const confirm = await foundry.applications.api.DialogV2.confirm({
+    window: {
+      title: game.i18n.localize('dnd5e-sheet-notes.category.ordering.switch-title'),
+      icon: 'fas fa-sort'
+    },
+    position: {
+      width: 400
+    },
+    content: game.i18n.format('dnd5e-sheet-notes.category.ordering.switch-confirm', { name: categoryData.name }),
+    yes: {
+      label: 'Yes',
+      icon: 'fas fa-check'
+    },
+    no: {
+      label: 'No',
+      icon: 'fas fa-times'
+    },
+    rejectClose: false
   });
+
+  if (!confirm) return false;
+
+  try {
+    await new Category(categoryData, actor).update({ ordering: CATEGORY_ORDERING.MANUAL });
+  } catch (error) {
+    ui.notifications.error(error.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Move notes next to another note in one update, keeping the order they were given in
+ * Notes are placed one after another with Foundry's integer sort, so sibling sort values only change when there is no
+ * room left between them. If the target is not in the category the notes go to its end.
+ * @param {Actor} actor - The actor that owns the notes
+ * @param {Array<Item>} notes - The notes being moved
+ * @param {Item} target - The note they were dropped on
+ * @param {string} category - The target category key ('' for the default category)
+ * @param {number} ordering - The ordering the category was displayed with before the drop
+ * @param {boolean} sortBefore - Whether to place the notes before the target
+ * @returns {Promise<Array<Item>>}
+ */
+async function sortNotesRelativeTo(actor, notes, target, category, ordering, sortBefore) {
+  const moved = new Set(notes.map(note => note.id));
+
+  // Notes in the default category may have no category or the default category's key
+  const categories = actor.getFlag('dnd5e-sheet-notes', 'categories') || [];
+  const keys = new Set([category]);
+  if (!category) {
+    const defaultCategory = categories.find(c => c.name === 'Notes');
+    if (defaultCategory) keys.add(defaultCategory.key);
+  }
+
+  const categoryNotes = actor.items.filter(item =>
+    item.type === 'dnd5e-sheet-notes.note' && keys.has(item.system.category || '') && !moved.has(item.id)
+  );
+
+  // A category switching from alphabetical keeps the order the user saw by sorting on display position
+  const manual = ordering === CATEGORY_ORDERING.MANUAL;
+  const siblings = sortCategoryNotes(categoryNotes, ordering)
+    .map((item, index) => ({ _id: item.id, sort: manual ? (item.sort || 0) : index }));
+  const original = new Map(categoryNotes.map(item => [item.id, item.sort || 0]));
+
+  let anchor = siblings.find(entry => entry._id === target.id);
+  if (!anchor) sortBefore = true;
+
+  for (const note of notes) {
+    const source = { _id: note.id, sort: 0 };
+    const sortUpdates = SortingHelpers.performIntegerSort(source, { target: anchor, siblings, sortBefore });
+    for (const { target: entry, update } of sortUpdates) {
+      entry.sort = update.sort;
+    }
+    siblings.push(source);
+
+    // Each following note goes straight after the one before it
+    anchor = source;
+    sortBefore = false;
+  }
+
+  const updates = siblings
+    .filter(entry => moved.has(entry._id) || (entry.sort !== original.get(entry._id)))
+    .map(entry => {
+      const update = { _id: entry._id, sort: entry.sort };
+      if (moved.has(entry._id)) update['system.category'] = category;
+      return update;
+    });
+
+  return actor.updateEmbeddedDocuments('Item', updates);
 }
 
+/**
+ * Handle a dragged category being dropped. With manual category ordering, dropping on another category's header
+ * places it beside that category; otherwise it is re-parented under the category it was dropped on, or moved to the
+ * top level if dropped outside any.
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {DragEvent} event - The drop event
+ * @param {Object} data - The category drag data
+ */
+async function handleCategoryDrop(app, event, data) {
+  clearDropIndicators(event.currentTarget);
+
+  if (data.actorUuid !== app.actor.uuid) return;
+
+  const category = Category.fromActor(app.actor, data.key);
+  if (!category) return;
+
+  const header = event.target.closest('.items-header[data-category-id]');
+  if (header && Category.getOrdering(app.actor) === CATEGORY_ORDERING.MANUAL) {
+    const targetKey = header.dataset.categoryId;
+    if (targetKey === category.key) return;
+
+    try {
+      await category.sortRelativeTo(targetKey, getDropPosition(event, header) === 'before');
+    } catch (error) {
+      ui.notifications.error(error.message);
+    }
+    return;
+  }
+
+  const parent = event.target.closest('.items-section')?.dataset.categoryId || '';
+  if (parent === category.key || parent === category.parent) return;
+
+  try {
+    await category.update({ parent });
+  } catch (error) {
+    ui.notifications.error(error.message);
+  }
+}
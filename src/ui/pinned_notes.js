@@ -0,0 +1,130 @@
+/**
+ * Pinned Notes
+ * Shows pinned notes as cards at the top of one of the character sheet's own tabs
+ */
+
+import { id as MODULE_ID } from '../../module.json';
+
+/**
+ * Note flag marking a note as pinned
+ */
+export const PINNED_FLAG = 'pinned';
+
+/**
+ * The client setting choosing which sheet tab pinned notes are shown on
+ */
+export const PINNED_TAB_SETTING = 'pinnedNotesTab';
+
+/**
+ * Sheet tabs pinned notes can be shown on
+ */
+export const PINNED_TABS = {
+  DETAILS: 'details',
+  BIOGRAPHY: 'biography',
+  INVENTORY: 'inventory',
+  FEATURES: 'features',
+  SPELLS: 'spells',
+  EFFECTS: 'effects'
+};
+
+/**
+ * Tab used when the chosen tab is not on the sheet, such as the Details tab on NPC sheets
+ */
+const FALLBACK_TAB = PINNED_TABS.BIOGRAPHY;
+
+/**
+ * Whether a note is pinned to its actor's sheet
+ * @param {Item} note - The note
+ * @returns {boolean}
+ */
+export function isPinned(note) {
+  return note.getFlag(MODULE_ID, PINNED_FLAG) === true;
+}
+
+/**
+ * Get the pinned notes on an actor that the current user may see, sorted by name
+ * @param {Actor} actor - The actor
+ * @returns {Array<Item>}
+ */
+export function getPinnedNotes(actor) {
+  return actor.items
+    .filter(item => item.type === 'dnd5e-sheet-notes.note' && isPinned(item) && item.system.isVisibleTo(game.user))
+    .sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+}
+
+/**
+ * Add the pinned note cards to the top of the chosen tab
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} el - The sheet element
+ */
+export async function addPinnedNotes(app, el) {
+  el.querySelector('.dnd5e-sheet-notes-pinned')?.remove();
+
+  const notes = getPinnedNotes(app.actor);
+  if (!notes.length) return;
+
+  const chosen = game.settings.get(MODULE_ID, PINNED_TAB_SETTING);
+  const tab = el.querySelector(`.tab-body .tab[data-tab="${chosen}"]`)
+    ?? el.querySelector(`.tab-body .tab[data-tab="${FALLBACK_TAB}"]`);
+  if (!tab) return;
+
+  if (!app._notesExpandedPins) {
+    app._notesExpandedPins = new Set();
+  }
+
+  const cards = await Promise.all(notes.map(async note => ({
+    note,
+    expanded: app._notesExpandedPins.has(note.id),
+    content: await TextEditor.enrichHTML(note.system.description.value, {
+      secrets: note.isOwner,
+      rollData: note.getRollData(),
+      relativeTo: note
+    })
+  })));
+
+  const html = await renderTemplate('modules/dnd5e-sheet-notes/templates/pinned_notes.hbs', {
+    cards,
+    editable: app.isEditable
+  });
+  tab.insertAdjacentHTML('afterbegin', html);
+  activatePinnedListeners(app, tab.querySelector('.dnd5e-sheet-notes-pinned'));
+}
+
+/**
+ * Activate the controls on the pinned note cards
+ * @param {ActorSheet5e} app - The sheet application
+ * @param {HTMLElement} section - The pinned notes section
+ */
+function activatePinnedListeners(app, section) {
+  section.querySelectorAll('[data-action="toggle-pinned-note"]').forEach(control => {
+    control.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const card = event.currentTarget.closest('[data-note-key]');
+      const expanded = card.classList.toggle('expanded');
+      if (expanded) {
+        app._notesExpandedPins.add(card.dataset.noteKey);
+      } else {
+        app._notesExpandedPins.delete(card.dataset.noteKey);
+      }
+    });
+  });
+
+  section.querySelectorAll('[data-action="open-pinned-note"]').forEach(control => {
+    control.addEventListener('click', event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const note = app.actor.items.get(event.currentTarget.closest('[data-note-key]').dataset.noteKey);
+      note?.sheet.render(true, app.isEditable ? {} : { editable: false });
+    });
+  });
+
+  section.querySelectorAll('[data-action="unpin-note"]').forEach(control => {
+    control.addEventListener('click', async event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const note = app.actor.items.get(event.currentTarget.closest('[data-note-key]').dataset.noteKey);
+      await note?.unsetFlag(MODULE_ID, PINNED_FLAG);
+    });
+  });
+}
@@ -5,31 +5,109 @@
 
 /**
  * Register libWrapper enhancement for ItemListControlsElement to enable content searching in notes
- * Uses libWrapper to extend the _applyFilters method to show notes that match content but not titles
+ * Uses libWrapper to extend the _applyFilters method so the notes list reflects the search index's results: matching
+ * notes are shown in order of relevance, with a highlighted snippet for notes whose content matched
  */
 export function registerSearchEnhancement() {
-  // Use libWrapper to enhance item-list-controls search for content matching
   libWrapper.register('dnd5e-sheet-notes', 'dnd5e.applications.components.ItemListControlsElement.prototype._applyFilters', function(wrapped) {
     // Call the original method first
     const result = wrapped();
 
-    // Check if this is our notes search and we have content matches to show
-    if (this.getAttribute('for') === 'notes' && this.app?._notesContentMatches?.size > 0) {
-      const searchTerm = this.app._filters.notes.name;
-      if (searchTerm) {
-        // Find hidden notes that should be shown due to content matches
-        this.list.querySelectorAll('.item[data-item-id]').forEach(el => {
-          const noteId = el.dataset.itemId;
-          if (this.app._notesContentMatches.has(noteId) && el.hidden) {
-            el.hidden = false;
-            // Show parent section too
-            const section = el.closest('.items-section');
-            if (section) section.hidden = false;
-          }
-        });
-      }
+    if (this.getAttribute('for') !== 'notes') return result;
+
+    updateSearchHint(this, this.app?._notesQueryErrors);
+
+    const results = this.app?._notesSearchResults;
+    if (results) {
+      showSearchResults(this.list, results);
+    } else {
+      clearSearchResults(this.list);
     }
 
     return result;
   }, 'WRAPPER');
 }
+
+/**
+ * Describe the search syntax on the notes search input, or the problems with the current query
+ * @param {HTMLElement} controls - The notes item-list-controls element
+ * @param {Array<string>} [errors] - Problems with the current query
+ */
+export function updateSearchHint(controls, errors = []) {
+  const input = controls?.querySelector('input');
+  if (!input) return;
+
+  let hint = game.i18n.localize('dnd5e-sheet-notes.search.syntax');
+  if (errors.length) {
+    // Errors can quote the query, so build the list from text rather than markup
+    const list = document.createElement('ul');
+    for (const error of errors) {
+      list.appendChild(document.createElement('li')).textContent = error;
+    }
+    hint = `${game.i18n.localize('dnd5e-sheet-notes.search.errors.ignored')}${list.outerHTML}`;
+  }
+
+  input.classList.toggle('invalid', errors.length > 0);
+  input.dataset.tooltip = hint;
+  input.dataset.tooltipDirection = 'DOWN';
+  input.dataset.tooltipClass = 'dnd5e-sheet-notes-search-hint';
+}
+
+/**
+ * Show only the notes that matched the search, ranked within their categories, with content snippets
+ * @param {HTMLElement} list - The notes list
+ * @param {Map<string, Object>} results - The search results by note ID
+ */
+function showSearchResults(list, results) {
+  const ranked = Array.from(results.keys())
+    .sort((a, b) => results.get(b).score - results.get(a).score);
+  const ranks = new Map(ranked.map((id, rank) => [id, rank]));
+
+  list.querySelectorAll('.item[data-item-id]').forEach(el => {
+    const noteId = el.dataset.itemId;
+    const match = results.get(noteId);
+    el.hidden = !match;
+    el.style.order = match ? ranks.get(noteId) : '';
+    setSnippet(el, match?.snippet);
+  });
+
+  // Show every category section that still contains a match, including the sections enclosing it
+  list.querySelectorAll('.items-section').forEach(section => {
+    section.hidden = !section.querySelector('.item[data-item-id]:not([hidden])');
+  });
+}
+
+/**
+ * Restore the list's own order and remove any snippets left from a previous search
+ * @param {HTMLElement} list - The notes list
+ */
+function clearSearchResults(list) {
+  list.querySelectorAll('.item[data-item-id]').forEach(el => {
+    el.style.order = '';
+    setSnippet(el, null);
+  });
+}
+
+/**
+ * Show or remove the highlighted content snippet under a note row
+ * @param {HTMLElement} el - The note's list element
+ * @param {Array<{text: string, match: boolean}>|null} segments - The snippet, or null to remove it
+ */
+function setSnippet(el, segments) {
+  el.querySelector(':scope > .note-search-snippet')?.remove();
+  if (!segments) return;
+
+  const snippet = document.createElement('div');
+  snippet.className = 'note-search-snippet';
+  for (const segment of segments) {
+    if (segment.match) {
+      const mark = document.createElement('mark');
+      mark.textContent = segment.text;
+      snippet.appendChild(mark);
+    } else {
+      snippet.appendChild(document.createTextNode(segment.text));
+    }
+  }
+
+  el.querySelector(':scope > .item-row').after(snippet);
+}
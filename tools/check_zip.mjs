@@ -0,0 +1,98 @@
+/**
+ * Zip Archive Check
+ * Writes archives with src/transfer/zip.js and reads them back, checking file names, contents, and checksums against
+ * Node's own CRC-32, then reads a deflated archive made by Info-ZIP. Run with `npm run check:zip`.
+ */
+
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createZip, readZip } from '../src/transfer/zip.js';
+
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const FLAG_UTF8 = 0x0800;
+
+const cases = {
+  'single file': [
+    { path: 'Note.md', content: '# Note\n\nSome text.\n' }
+  ],
+  'several files in folders': [
+    { path: 'Quests/Main/The Lost Mine.md', content: '---\nname: The Lost Mine\n---\n\nFind the mine.\n' },
+    { path: 'Quests/Main/The Lost Mine (2).md', content: 'A second note with the same name.\n' },
+    { path: 'People/Sildar.md', content: '' },
+    { path: 'Loose note.md', content: 'x'.repeat(70000) }
+  ],
+  'non-ASCII names and text': [
+    { path: 'Lieux/Château d’Éauclaire.md', content: 'Où est la clé ?\n' },
+    { path: '人物/鍛冶屋.md', content: '鍛冶屋の名前はカズ。\n' },
+    { path: 'Ærendil 🐉/Ñoño — notes.md', content: 'Dragons 🐉 and em dashes — everywhere.\n' }
+  ]
+};
+
+/**
+ * A deflated archive made with `zip -rX -9`, holding Note.md, a Quêtes/ directory entry, and Quêtes/Clé.md
+ */
+const INFO_ZIP_ARCHIVE = 'UEsDBBQAAgAIAC5AU100sZAEEwAAADAAAAAHAAAATm90ZS5tZAvISczMU8jLL0nVUSggyNbjAgBQSwMECgAAAAAALkBTXQAAAAAAAAAAAAAAAAgAAABR'
+  + 'dcOqdGVzL1BLAwQUAAIACAAuQFNdFtV6PiAAAABOAAAADwAAAFF1w6p0ZXMvQ2zDqS5tZFNWCCw9vKoklYsrpCi/tCy1SCEnUSE55/BKPQXSBbgA'
+  + 'UEsBAh4DFAACAAgALkBTXTSxkAQTAAAAMAAAAAcAAAAAAAAAAQAAAKSBAAAAAE5vdGUubWRQSwECHgMKAAAAAAAuQFNdAAAAAAAAAAAAAAAACAAA'
+  + 'AAAAAAAAABAA7UE4AAAAUXXDqnRlcy9QSwECHgMUAAIACAAuQFNdFtV6PiAAAABOAAAADwAAAAAAAAABAAAApIFeAAAAUXXDqnRlcy9DbMOpLm1k'
+  + 'UEsFBgAAAAADAAMAqAAAAKsAAAAAAA==';
+
+/**
+ * Read the central directory entries of an archive without using the module's reader
+ * @param {ArrayBuffer} buffer - The archive
+ * @returns {Array<{flags: number, crc: number, name: string}>}
+ */
+function centralEntries(buffer) {
+  const view = new DataView(buffer);
+  const endOffset = buffer.byteLength - 22;
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(pointer, true), CENTRAL_DIRECTORY_HEADER, 'central directory header');
+    const nameLength = view.getUint16(pointer + 28, true);
+    entries.push({
+      flags: view.getUint16(pointer + 8, true),
+      crc: view.getUint32(pointer + 16, true),
+      name: new TextDecoder().decode(new Uint8Array(buffer, pointer + 46, nameLength))
+    });
+    pointer += 46 + nameLength + view.getUint16(pointer + 30, true) + view.getUint16(pointer + 32, true);
+  }
+  return entries;
+}
+
+let failed = 0;
+for (const [name, files] of Object.entries(cases)) {
+  try {
+    const zip = createZip(files);
+    const read = await readZip(zip);
+    assert.deepEqual(read, files.map(file => ({ path: file.path, text: file.content })));
+
+    const entries = centralEntries(await zip.arrayBuffer());
+    assert.equal(entries.length, files.length);
+    entries.forEach((entry, index) => {
+      assert.equal(entry.name, files[index].path);
+      assert.ok(entry.flags & FLAG_UTF8, `UTF-8 flag on ${entry.name}`);
+      assert.equal(entry.crc, crc32(Buffer.from(files[index].content, 'utf8')), `CRC-32 of ${entry.name}`);
+    });
+
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`not ok - ${name}\n${error.message}`);
+  }
+}
+
+try {
+  const read = await readZip(new Blob([Buffer.from(INFO_ZIP_ARCHIVE, 'base64')]));
+  assert.deepEqual(read, [
+    { path: 'Note.md', text: 'Plain note, plain note, plain note, plain note.\n' },
+    { path: 'Quêtes/Clé.md', text: '# Quête\n\nTrouver la clé. Trouver la clé. Trouver la clé. Trouver la clé.\n' }
+  ]);
+  console.log('ok - deflated archive from another tool');
+} catch (error) {
+  failed++;
+  console.error(`not ok - deflated archive from another tool\n${error.message}`);
+}
+
+process.exitCode = failed ? 1 : 0;